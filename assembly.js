@@ -1,42 +1,223 @@
 "use-strict";
 
-export class Error {
-    static machine = {
+/// An error thrown by the assembler (a diagnostic describing invalid source code) or by the Machine (a fault during execution).
+/// Assembler diagnostics carry as much location information as is known: line number, column span and text of the offending token, and the OperandSpec or DataType the token was expected to match.
+export class MachineError extends Error {
+    /// Default message for each error code.
+    static Message = {
         unknownInstruction: "Unknown instruction",
         invalidInputType: "Invalid input type",
         invalidInstructionFormat: "Invalid instruction format",
         inputOutsideRange: "Input outside valid range",
+        memoryOutOfBounds: "Memory address out of bounds",
+        divideByZero: "Divide by zero",
+        unknownOpcode: "Unknown opcode",
+        unencodableStatement: "Statement cannot be encoded as machine code",
+        invalidLabel: "Invalid label name",
+        undefinedLabel: "Undefined label",
+        duplicateLabel: "Duplicate label",
+        unsupportedDirective: "Unsupported directive",
+        invalidMacro: "Invalid macro",
+        stackOverflow: "Stack overflow",
+        stackUnderflow: "Stack underflow",
+        invalidProfile: "Invalid machine profile",
+        invalidSnapshot: "Invalid machine snapshot",
+        deviceConflict: "Device address range conflict",
     };
+    /// Enumeration of error codes: the keys of `Message`.
+    static Code = Object.fromEntries(Object.keys(MachineError.Message).map(code => [code, code]));
+    
+    /// A `MachineError.Code` value.
+    code;
+    /// One-based line number in assembly source code, or null.
+    lineNumber;
+    /// Zero-based span of the offending token within its line, or null: `{ start, end }`, end exclusive.
+    column;
+    /// Text of the offending token, or null.
+    token;
+    /// The OperandSpec or DataType the offending token was expected to match, or null.
+    expected;
+    /// Additional explanation, or null.
+    detail;
+    /// For errors within a macro expansion, the macro's `name` and the one-based `lineNumber` of the failing line within the macro definition: `{ name, lineNumber }`. Null otherwise. `lineNumber` and `column` then refer to the macro call.
+    macro;
+    
+    /// `details`: optional object with any of the properties lineNumber, column, token, expected, detail, macro.
+    constructor(code, details) {
+        super(MachineError.Message[code]);
+        this.name = "MachineError";
+        this.code = code;
+        this.lineNumber = null;
+        this.column = null;
+        this.token = null;
+        this.expected = null;
+        this.detail = null;
+        this.macro = null;
+        this.locate(details);
+    }
+    
+    /// Fills in any of the properties in `details` that are not already known, and returns this error. Each layer of the assembler adds the location information it knows as the error propagates.
+    locate(details) {
+        for (const key of ["lineNumber", "column", "token", "expected", "detail", "macro"]) {
+            if (this[key] === null && details?.[key] !== undefined && details[key] !== null) {
+                this[key] = details[key];
+            }
+        }
+        let notes = [this.expected ? `expected ${this.expected.helpText}` : null, this.detail]
+            .filter(note => !!note);
+        this.message = MachineError.Message[this.code]
+            + (this.token !== null ? `: "${this.token}"` : "")
+            + (notes.length > 0 ? ` (${notes.join("; ")})` : "");
+        return this;
+    }
+    
+    /// Human-readable location, e.g. "line 3, column 5" or "line 3, column 5, in macro CLEAR on line 1", or null if no line number is known. Columns are one-based.
+    get locationSummary() {
+        if (this.lineNumber === null) { return null; }
+        let location = (this.column !== null)
+            ? `line ${this.lineNumber}, column ${this.column.start + 1}`
+            : `line ${this.lineNumber}`;
+        return this.macro ? `${location}, in macro ${this.macro.name} on line ${this.macro.lineNumber}` : location;
+    }
+    
+    toString() {
+        return this.message;
+    }
 }
 
 /// A specific instance of a virtual machine running and executing code.
 export class Machine {
-    /// Size of one word, in bytes, for instructions and addresses in memory.
+    /// Size of one word, in bytes, for instructions and addresses in memory, in `MachineProfile.standard`.
     static WORD_SIZE = Uint16Array.BYTES_PER_ELEMENT;
-    /// Max unsigned value of one word, and size of memory in bytes.
+    /// Max unsigned value of one word, and size of memory in bytes, in `MachineProfile.standard`.
     static WORD_RANGE = 0x1 << (8 * Uint16Array.BYTES_PER_ELEMENT);
-    /// Total count of general-purpose registers.
+    /// Total count of general-purpose registers in `MachineProfile.standard`.
     static NUM_REGISTERS = 2;
     /// A value for the PC register that is guaranteed to halt execution.
     /// Note that the machine halts with _any_ PC value outside the range of available statements; `PC_HALT` is just a constant that's guaranteed to work.
     static PC_HALT = -1;
+    /// Default `maxCycles` for `run`, so that infinite loops eventually return control to the caller.
+    static DEFAULT_MAX_CYCLES = 100000;
+    /// Size of the stack, in bytes, in `MachineProfile.standard`. The stack occupies the top `MachineProfile.stackSize` bytes of memory and grows downward.
+    static STACK_SIZE = 0x100;
     
+    /// Enumeration of reasons `run` stops executing.
+    static RunStatus = {
+        /// The machine is `halting`.
+        halted: "halted",
+        /// `maxCycles` instructions were executed without halting.
+        cycleLimit: "cycleLimit",
+        /// The `timeLimit` wall-clock budget ran out without halting.
+        timeLimit: "timeLimit",
+        /// The `signal` was aborted.
+        aborted: "aborted",
+        /// An instruction failed to execute. PC still points to the faulting instruction.
+        fault: "fault",
+        /// The `shouldPause` function returned a reason to stop, e.g. a Debugger breakpoint.
+        paused: "paused"
+    };
+    
+    /// Enumeration of status flags, i.e. the keys of `flags`.
+    static Flag = {
+        /// The last arithmetic result was zero.
+        zero: "zero",
+        /// The last arithmetic result wrapped around as an unsigned value.
+        carry: "carry",
+        /// The last arithmetic result wrapped around as a signed (two's complement) value.
+        overflow: "overflow",
+        /// The high bit of the last arithmetic result is set.
+        negative: "negative"
+    };
+    /// Single-letter abbreviations of each `Machine.Flag`, used in summaries and instruction keywords.
+    static FlagLetter = {
+        zero: "Z",
+        carry: "C",
+        overflow: "V",
+        negative: "N"
+    };
+    
+    profile; // MachineProfile
+    /// DataTypes of operands for this machine's profile. See `DataType.forProfile`.
+    dataTypes;
     assemblyLanguage; // AssemblyLanguage
     registers; // Array of values
+    /// Flags register: a boolean value for each `Machine.Flag`, updated by arithmetic instructions.
+    flags;
+    /// Uint8Array of `profile.memorySize` bytes. Words are stored little-endian.
+    memory;
+    /// Stack pointer: the memory address of the word on top of the stack. Equal to the size of memory when the stack is empty.
+    sp;
+    /// Memory-mapped devices attached to the device bus. See `attachDevice`.
+    devices;
+    /// Optional trace buffer: if not null, `step` appends a trace event (see `addTraceListener`) for each executed statement. Set to an empty array to start recording.
+    trace;
+    /// Max number of events kept in `trace`; the oldest events are discarded first.
+    traceLimit;
+    /// Optional execution history for reverse execution: if not null, `step` appends a trace event for each executed statement, which `stepBack` uses to undo it. Set to an empty array to start recording.
+    /// Effects on devices, such as console output, are not undone.
+    history;
+    /// Max number of events kept in `history`; the oldest events are discarded first.
+    historyLimit;
+    #traceListeners; // array of functions
+    /// Trace event being recorded by the current `step`, or null if not tracing.
+    #traceEvent;
     #statements; // array of AssemblyStatement
     
     /// Index to the `statements` array, indicating the next instruction to execute.
     /// A value outside of the statements array's bounds will halt the machine, in this case the `halting` property will be true.
     #pc;
     
-    constructor() {
-        this.registers = new Array(Machine.NUM_REGISTERS);
-        this.assemblyLanguage = new AssemblyLanguage([
-            AssemblyInstruction.setRegister(this.registers.length),
-            AssemblyInstruction.addRegisters,
-            AssemblyInstruction.branchIfZero(this.registers.length)
-        ]);
-        this.reset({ pc: true, registers: true, statements: true });
+    /// `profile`: optional MachineProfile, defaults to `MachineProfile.standard`. Throws if the profile enables an unknown instruction.
+    constructor(profile) {
+        this.profile = profile ?? MachineProfile.standard;
+        this.dataTypes = DataType.forProfile(this.profile);
+        this.registers = new Array(this.profile.registerCount);
+        
+        let types = this.dataTypes;
+        let instructions = [
+            AssemblyInstruction.setRegister(types),
+            AssemblyInstruction.addRegisters(types),
+            AssemblyInstruction.subtractRegisters(types),
+            AssemblyInstruction.multiplyRegisters(types),
+            AssemblyInstruction.divideRegisters(types),
+            AssemblyInstruction.moduloRegisters(types),
+            AssemblyInstruction.andRegisters(types),
+            AssemblyInstruction.orRegisters(types),
+            AssemblyInstruction.xorRegisters(types),
+            AssemblyInstruction.notRegister(types),
+            AssemblyInstruction.shiftLeftRegister(types),
+            AssemblyInstruction.shiftRightRegister(types),
+            AssemblyInstruction.branchIfZero(types),
+            AssemblyInstruction.loadRegister(types),
+            AssemblyInstruction.storeRegister(types),
+            AssemblyInstruction.pushRegister(types),
+            AssemblyInstruction.popRegister(types),
+            AssemblyInstruction.callSubroutine(types),
+            AssemblyInstruction.returnFromSubroutine(types),
+            AssemblyInstruction.branchIfFlag(Machine.Flag.zero, types),
+            AssemblyInstruction.branchIfFlag(Machine.Flag.carry, types),
+            AssemblyInstruction.branchIfFlag(Machine.Flag.overflow, types),
+            AssemblyInstruction.branchIfFlag(Machine.Flag.negative, types)
+        ];
+        if (this.profile.instructions) {
+            for (const keyword of this.profile.instructions) {
+                if (!instructions.some(instruction => instruction.keyword == keyword)) {
+                    throw new MachineError(MachineError.Code.invalidProfile, { token: keyword, detail: "unknown instruction" });
+                }
+            }
+            instructions = instructions.filter(instruction => this.profile.instructions.includes(instruction.keyword));
+        }
+        this.assemblyLanguage = new AssemblyLanguage(instructions, this.dataTypes);
+        this.flags = {};
+        this.memory = new Uint8Array(this.profile.memorySize);
+        this.devices = [];
+        this.trace = null;
+        this.traceLimit = Machine.DEFAULT_MAX_CYCLES;
+        this.history = null;
+        this.historyLimit = Machine.DEFAULT_MAX_CYCLES;
+        this.#traceListeners = [];
+        this.#traceEvent = null;
+        this.reset({ pc: true, registers: true, memory: true, statements: true });
     }
     
     /// Appends AssemblyStatements to the end of the current set of stored statements.
@@ -45,10 +226,20 @@ export class Machine {
         this.#statements = this.#statements.concat(statements);
     }
     
+    /// Removes stored statements after the first `count` statements.
+    truncateStatements(count) {
+        this.#statements = this.#statements.slice(0, count);
+    }
+    
     get instructionCount() {
         return this.#statements.length;
     }
     
+    /// Canonical assembly code for all stored statements. See `AssemblyLanguage.disassemble`.
+    disassemble() {
+        return this.assemblyLanguage.disassemble(this.#statements);
+    }
+    
     /// True if `pc` points to an invalid instruction index, false if `pc` points to a valid instruction index.
     get halting() {
         return this.#pc < 0 || this.#pc >= this.#statements.length;
@@ -72,47 +263,435 @@ export class Machine {
         return rIndex >= 0 && rIndex < this.registers.length;
     }
     
+    /// Lowest memory address usable by the stack.
+    get stackBase() {
+        return this.memory.length - this.profile.stackSize;
+    }
+    
+    /// True if a full word can be read or written at `address`.
+    /// `size`: optional size of the value in bytes, defaults to the profile's word size.
+    isWordAddressValid(address, size) {
+        return address >= 0 && address + (size ?? this.profile.wordSize) <= this.memory.length;
+    }
+    
+    /// Attaches a memory-mapped device to the device bus. Word reads and writes (`readWord` and `writeWord`, e.g. by LOAD and STORE) that overlap the device's address range are sent to the device instead of memory. A device is an object with:
+    /// - address: the first memory address mapped to the device.
+    /// - size: the number of bytes mapped to the device.
+    /// - read(offset, size): returns the value of a `size`-byte word read at `address + offset`.
+    /// - write(offset, value, size): handles a `size`-byte word written at `address + offset`.
+    /// Offsets may be negative or past the device's size for accesses that only partly overlap the device. Throws if the device's address range is outside memory or overlaps another attached device.
+    attachDevice(device) {
+        if (device.address < 0 || device.address + device.size > this.memory.length) {
+            throw new MachineError(MachineError.Code.memoryOutOfBounds);
+        }
+        if (this.deviceAt(device.address, device.size)) {
+            throw new MachineError(MachineError.Code.deviceConflict);
+        }
+        this.devices.push(device);
+    }
+    
+    detachDevice(device) {
+        this.devices = this.devices.filter(item => item !== device);
+    }
+    
+    /// The attached device whose address range overlaps the `size` bytes at `address`, or null.
+    deviceAt(address, size) {
+        return this.devices.find(device => address < device.address + device.size && address + size > device.address) ?? null;
+    }
+    
+    /// Reads the word stored at `address`, or from a device mapped to `address`. Throws if out of bounds.
+    /// `size`: optional size of the value in bytes, defaults to the profile's word size.
+    readWord(address, size) {
+        size = size ?? this.profile.wordSize;
+        if (!this.isWordAddressValid(address, size)) {
+            throw new MachineError(MachineError.Code.memoryOutOfBounds);
+        }
+        let device = this.deviceAt(address, size);
+        if (device) {
+            return device.read(address - device.address, size) % (2 ** (8 * size));
+        }
+        let value = 0;
+        for (let i = size - 1; i >= 0; i -= 1) {
+            value = (value * 0x100) + this.memory[address + i];
+        }
+        return value;
+    }
+    
+    /// Stores a word at `address`, or sends it to a device mapped to `address`. Throws if out of bounds.
+    /// `size`: optional size of the value in bytes, defaults to the profile's word size.
+    writeWord(address, value, size) {
+        size = size ?? this.profile.wordSize;
+        if (!this.isWordAddressValid(address, size)) {
+            throw new MachineError(MachineError.Code.memoryOutOfBounds);
+        }
+        let device = this.deviceAt(address, size);
+        if (device) {
+            device.write(address - device.address, value, size);
+            return;
+        }
+        this.#traceEvent?.memoryWrites.push({ address: address, size: size, oldValue: this.readWord(address, size), newValue: value });
+        for (let i = 0; i < size; i += 1) {
+            this.memory[address + i] = value % 0x100;
+            value = Math.floor(value / 0x100);
+        }
+    }
+    
+    /// Stores an array of bytes in memory starting at `address`. Throws if out of bounds.
+    writeBytes(address, bytes) {
+        if (address < 0 || address + bytes.length > this.memory.length) {
+            throw new MachineError(MachineError.Code.memoryOutOfBounds);
+        }
+        this.memory.set(bytes, address);
+    }
+    
+    /// Stores a machine code image (a Uint16Array, see `AssemblyLanguage.encode`) in memory starting at `address`, as little-endian 16-bit words. Throws if out of bounds.
+    writeImage(address, image) {
+        let byteLength = image.length * Uint16Array.BYTES_PER_ELEMENT;
+        if (address < 0 || address + byteLength > this.memory.length) {
+            throw new MachineError(MachineError.Code.memoryOutOfBounds);
+        }
+        image.forEach((word, index) => {
+            let byteAddress = address + index * Uint16Array.BYTES_PER_ELEMENT;
+            this.memory[byteAddress] = word & 0xff;
+            this.memory[byteAddress + 1] = word >> 8;
+        });
+    }
+    
+    /// Reads `wordCount` 16-bit words of machine code stored in memory at `address`. Throws if out of bounds.
+    readImage(address, wordCount) {
+        let byteLength = wordCount * Uint16Array.BYTES_PER_ELEMENT;
+        if (address < 0 || address + byteLength > this.memory.length) {
+            throw new MachineError(MachineError.Code.memoryOutOfBounds);
+        }
+        let image = new Uint16Array(wordCount);
+        for (let i = 0; i < wordCount; i += 1) {
+            let byteAddress = address + i * Uint16Array.BYTES_PER_ELEMENT;
+            image[i] = this.memory[byteAddress] | (this.memory[byteAddress + 1] << 8);
+        }
+        return image;
+    }
+    
+    /// Decodes `statementCount` statements of machine code stored in memory at `address`, and appends them to the current set of stored statements.
+    appendFromMemory(address, statementCount) {
+        let image = this.readImage(address, statementCount * this.assemblyLanguage.statementWords);
+        this.append(this.assemblyLanguage.decode(image));
+    }
+    
+    /// Resets parts of the machine state. Keys of `config`: pc, registers (including flags and SP), memory, statements.
+    /// Also clears `history`, if recording, as its events no longer apply.
     reset(config) {
+        if (this.history !== null) {
+            this.history = [];
+        }
         if (config.pc) {
             this.#pc = 0;
         }
         if (config.registers) {
             this.registers.fill(0);
+            this.sp = this.memory.length;
+            for (const flag of Object.values(Machine.Flag)) {
+                this.flags[flag] = false;
+            }
+        }
+        if (config.memory) {
+            this.memory.fill(0);
         }
         if (config.statements) {
             this.#statements = [];
         }
     }
     
+    /// A JSON-serializable copy of the machine state, for `restore` or `Machine.fromSnapshot`. An object with:
+    /// - profile: the MachineProfile's properties.
+    /// - registers, pc, sp: numbers. flags: a boolean for each `Machine.Flag`.
+    /// - memory: array of `{ address, bytes }` ranges of nonzero memory, where `bytes` is a hex string. All other memory is zero.
+    /// - program: array of stored statements as canonical assembly code, see `AssemblyLanguage.disassembleStatement`.
+    /// Attached devices, `trace` and `history` are not included.
+    snapshot() {
+        return {
+            profile: {
+                name: this.profile.name,
+                registerCount: this.profile.registerCount,
+                wordBits: this.profile.wordBits,
+                memorySize: this.profile.memorySize,
+                stackSize: this.profile.stackSize,
+                instructions: this.profile.instructions
+            },
+            registers: this.registers.slice(),
+            pc: this.#pc,
+            flags: Object.assign({}, this.flags),
+            sp: this.sp,
+            memory: Machine.#memoryRanges(this.memory),
+            program: this.#statements.map(statement => this.assemblyLanguage.disassembleStatement(statement))
+        };
+    }
+    
+    /// Creates a Machine with the profile of a `snapshot` and restores its state. Throws a MachineError if the snapshot is invalid.
+    static fromSnapshot(snapshot) {
+        if (typeof(snapshot?.profile) !== "object" || snapshot.profile === null) {
+            throw new MachineError(MachineError.Code.invalidSnapshot, { detail: "profile" });
+        }
+        let machine = new Machine(new MachineProfile(snapshot.profile));
+        machine.restore(snapshot);
+        return machine;
+    }
+    
+    /// Replaces the entire machine state with the contents of a `snapshot` produced by `snapshot()`, possibly after a round trip through JSON. Clears `history`.
+    /// The snapshot's profile must have the same register count, word size, memory size and stack size as this machine's profile, and its program must assemble with this machine's instruction set.
+    /// Throws a MachineError, with `detail` naming the invalid key, if the snapshot is invalid. The machine is unchanged in that case.
+    restore(snapshot) {
+        const check = (isValid, key, token) => {
+            if (!isValid) {
+                throw new MachineError(MachineError.Code.invalidSnapshot, { token: token, detail: key });
+            }
+        };
+        const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        check(typeof(snapshot) === "object" && snapshot !== null, "snapshot");
+        let profile = snapshot.profile;
+        check(typeof(profile) === "object" && profile !== null
+            && ["registerCount", "wordBits", "memorySize", "stackSize"].every(key => profile[key] === this.profile[key]), "profile");
+        check(Array.isArray(snapshot.registers) && snapshot.registers.length == this.profile.registerCount
+            && snapshot.registers.every(value => isInteger(value, 0, this.profile.wordRange - 1)), "registers");
+        // Any PC outside the program is a valid halted state.
+        check(Number.isInteger(snapshot.pc), "pc");
+        check(typeof(snapshot.flags) === "object" && snapshot.flags !== null
+            && Object.values(Machine.Flag).every(flag => typeof(snapshot.flags[flag]) === "boolean"), "flags");
+        check(isInteger(snapshot.sp, this.stackBase, this.memory.length), "sp");
+        check(Array.isArray(snapshot.memory), "memory");
+        let data = snapshot.memory.map(range => {
+            let bytes = Machine.#parseHexBytes(range?.bytes);
+            check(bytes !== null && isInteger(range.address, 0, this.memory.length - bytes.length), "memory", `${range?.address}`);
+            return { address: range.address, bytes: bytes };
+        });
+        check(Array.isArray(snapshot.program), "program");
+        let statements = snapshot.program.map((text, index) => {
+            check(typeof(text) === "string", "program", `${text}`);
+            try {
+                return this.assemblyLanguage.assembleStatement(text, null) ?? new AssemblyStatement(null, [], text);
+            } catch (e) {
+                throw new MachineError(MachineError.Code.invalidSnapshot, { lineNumber: index + 1, token: text, detail: `program: ${e.message}` });
+            }
+        });
+        
+        this.reset({ pc: true, registers: true, memory: true, statements: true });
+        this.append(statements);
+        this.setPC(snapshot.pc);
+        snapshot.registers.forEach((value, index) => { this.registers[index] = value; });
+        Object.values(Machine.Flag).forEach(flag => { this.flags[flag] = snapshot.flags[flag]; });
+        this.sp = snapshot.sp;
+        data.forEach(range => this.memory.set(range.bytes, range.address));
+    }
+    
+    /// Ranges of nonzero bytes in `memory`, as `{ address, bytes }` with hex strings. Runs of fewer than `MEMORY_RANGE_GAP` zero bytes do not split a range.
+    static #memoryRanges(memory) {
+        const MEMORY_RANGE_GAP = 16;
+        let ranges = [];
+        let start = null, end = null;
+        const appendRange = () => {
+            let bytes = Array.from(memory.subarray(start, end), byte => byte.toString(16).padStart(2, "0"));
+            ranges.push({ address: start, bytes: bytes.join("") });
+        };
+        memory.forEach((byte, address) => {
+            if (byte == 0) { return; }
+            if (start !== null && address - end >= MEMORY_RANGE_GAP) {
+                appendRange();
+                start = null;
+            }
+            start = start ?? address;
+            end = address + 1;
+        });
+        if (start !== null) {
+            appendRange();
+        }
+        return ranges;
+    }
+    
+    /// Uint8Array of the bytes in a hex string, or null if `text` is not a string of hex byte pairs.
+    static #parseHexBytes(text) {
+        if (typeof(text) !== "string" || !/^([0-9a-fA-F]{2})*$/.test(text)) { return null; }
+        return Uint8Array.from(text.match(/../g) ?? [], pair => parseInt(pair, 16));
+    }
+    
     /// Executes the single next instruction indicated by `pc` and then returns immediately. Does nothing if the machine is currently `halting`.
+    /// Throws if the instruction faults, leaving `pc` pointing to the faulting instruction.
     step() {
         let next = this.nextInstruction;
         if (!next) { return; }
         
-        this.#pc = this.#pc + 1;
+        let pc = this.#pc;
+        let isTracing = this.trace !== null || this.history !== null || this.#traceListeners.length > 0;
+        this.#traceEvent = isTracing ? {
+            pcBefore: pc,
+            pcAfter: null,
+            statement: next,
+            registerWrites: [],
+            memoryWrites: [],
+            flagsBefore: Object.assign({}, this.flags),
+            flagsAfter: null,
+            spBefore: this.sp,
+            spAfter: null
+        } : null;
+        
+        this.#pc = pc + 1;
         if (next.instruction) {
-            next.instruction.microcode.apply(this, next.operands);
+            try {
+                next.instruction.microcode.apply(this, next.operands);
+            } catch (e) {
+                this.#pc = pc;
+                this.#traceEvent = null;
+                throw e;
+            }
+        }
+        
+        let event = this.#traceEvent;
+        if (event) {
+            this.#traceEvent = null;
+            event.pcAfter = this.#pc;
+            event.flagsAfter = Object.assign({}, this.flags);
+            event.spAfter = this.sp;
+            Machine.#appendEvent(this.trace, event, this.traceLimit);
+            Machine.#appendEvent(this.history, event, this.historyLimit);
+            this.#traceListeners.forEach(listener => listener(event));
+        }
+    }
+    
+    static #appendEvent(events, event, limit) {
+        if (events === null) { return; }
+        events.push(event);
+        if (events.length > limit) {
+            events.splice(0, events.length - limit);
+        }
+    }
+    
+    /// Undoes the last statement executed by `step`, restoring PC, registers, flags, SP and memory to their values before it executed. Requires `history`.
+    /// Returns false if there is nothing in `history` to undo.
+    stepBack() {
+        let event = this.history?.pop();
+        if (!event) { return false; }
+        for (const write of event.memoryWrites.slice().reverse()) {
+            for (let i = 0, value = write.oldValue; i < write.size; i += 1) {
+                this.memory[write.address + i] = value % 0x100;
+                value = Math.floor(value / 0x100);
+            }
+        }
+        for (const write of event.registerWrites.slice().reverse()) {
+            this.registers[write.index] = write.oldValue;
+        }
+        Object.assign(this.flags, event.flagsBefore);
+        this.sp = event.spBefore;
+        this.#pc = event.pcBefore;
+        return true;
+    }
+    
+    /// Undoes up to `count` statements with `stepBack`. Returns the number of statements undone.
+    rewind(count) {
+        let undone = 0;
+        while (undone < count && this.stepBack()) {
+            undone += 1;
         }
+        return undone;
+    }
+    
+    /// Subscribes to trace events. After each statement executed by `step` (but not statements that fault), `listener` is called with an event object with:
+    /// - pcBefore, pcAfter: PC before and after executing the statement.
+    /// - statement: the AssemblyStatement executed.
+    /// - registerWrites: array of `{ index, oldValue, newValue }`, in order of execution.
+    /// - memoryWrites: array of `{ address, size, oldValue, newValue }`, in order of execution. Writes sent to devices are not included.
+    /// - flagsBefore, flagsAfter: copies of `flags`.
+    /// - spBefore, spAfter: SP values.
+    addTraceListener(listener) {
+        this.#traceListeners.push(listener);
+    }
+    
+    removeTraceListener(listener) {
+        this.#traceListeners = this.#traceListeners.filter(item => item !== listener);
     }
     
     /// Begins execution at the next instruction indicated by `pc`.
-    /// Execution halts when pc no longer points to a valid instruction index (`halting` is true).
-    run() {
-        // TODO: add a max-cycles argument, to give a chance to interrupt infinite loops?
+    /// Execution halts when pc no longer points to a valid instruction index (`halting` is true), or stops early when a budget in `options` runs out:
+    /// - maxCycles: max number of instructions to execute. Defaults to `DEFAULT_MAX_CYCLES`.
+    /// - timeLimit: optional max wall-clock time, in milliseconds.
+    /// - signal: optional AbortSignal, checked before each instruction.
+    /// - shouldPause: optional function called after each executed instruction. Returning a value other than null stops execution with the `paused` status.
+    /// Returns an object with a `status` (a `Machine.RunStatus` value) and the number of `cycles` executed. Execution can be resumed by calling `run` again.
+    /// If an instruction faults, the `fault` status is returned along with the thrown `error`; the faulting instruction is not counted in `cycles`.
+    /// If paused, the value returned by `shouldPause` is returned as the `reason`.
+    run(options) {
+        let maxCycles = options?.maxCycles ?? Machine.DEFAULT_MAX_CYCLES;
+        let deadline = (typeof(options?.timeLimit) == "number") ? Date.now() + options.timeLimit : null;
+        let cycles = 0;
+        let result = (status, details) => Object.assign({ status: status, cycles: cycles }, details);
+        
         while (!this.halting) {
-            this.step();
+            if (options?.signal?.aborted) {
+                return result(Machine.RunStatus.aborted);
+            }
+            if (cycles >= maxCycles) {
+                return result(Machine.RunStatus.cycleLimit);
+            }
+            if (deadline !== null && Date.now() >= deadline) {
+                return result(Machine.RunStatus.timeLimit);
+            }
+            try {
+                this.step();
+            } catch (e) {
+                return result(Machine.RunStatus.fault, { error: e });
+            }
+            cycles += 1;
+            let reason = options?.shouldPause?.() ?? null;
+            if (reason !== null) {
+                return result(Machine.RunStatus.paused, { reason: reason });
+            }
         }
+        return result(Machine.RunStatus.halted);
     }
     
     get stateSummary() {
-        return this.registers
+        let registers = this.registers
             .map(r => `[${r}]`)
             .join(" ");
+        return `Registers: ${registers} SP: ${this.sp} Flags: ${this.flagsSummary}`;
+    }
+    
+    /// One character per flag, in `Machine.Flag` order: its `FlagLetter` if set, otherwise "-".
+    get flagsSummary() {
+        return Machine.summarizeFlags(this.flags);
+    }
+    
+    /// `flagsSummary` for an object with the same structure as `flags`.
+    static summarizeFlags(flags) {
+        return Object.values(Machine.Flag)
+            .map(flag => flags[flag] ? Machine.FlagLetter[flag] : "-")
+            .join("");
+    }
+    
+    /// True if the high (sign) bit of a word value is set.
+    isNegative(value) {
+        return value >= this.profile.wordRange / 2;
     }
     
-    // TODO: instead, REPL should append one instruction then run.
-    execute(instruction, input) {
-        instruction.execute(input, this);
+    /// Interprets a word value as a two's complement signed value.
+    signed(value) {
+        return this.isNegative(value) ? value - this.profile.wordRange : value;
+    }
+    
+    /// Wraps an arithmetic result modulo the profile's `wordRange` and stores it in a register, updating all flags.
+    /// `signedResult` is the mathematically exact result when the operands are interpreted as signed values, used to detect overflow.
+    /// Both results can be numbers or BigInts; use BigInts for results that may exceed `Number.MAX_SAFE_INTEGER`.
+    setArithmeticResult(rIndex, unsignedResult, signedResult) {
+        let range = BigInt(this.profile.wordRange);
+        let exact = BigInt(unsignedResult);
+        let value = ((exact % range) + range) % range;
+        this.setRegister(rIndex, Number(value));
+        this.flags.zero = value == 0n;
+        this.flags.carry = exact != value;
+        this.flags.overflow = BigInt(signedResult) < -range / 2n || BigInt(signedResult) >= range / 2n;
+        this.flags.negative = this.isNegative(Number(value));
+    }
+    
+    /// Stores the result of a bitwise operation in a register. Sets the zero and negative flags, and clears carry and overflow.
+    setLogicalResult(rIndex, value) {
+        this.setArithmeticResult(rIndex, value, this.signed(value));
     }
     
     // Microcode implementation
@@ -123,13 +702,74 @@ export class Machine {
     
     setRegister(rIndex, value) {
         if (this.isRegisterIndexValid(rIndex)) {
+            this.#traceEvent?.registerWrites.push({ index: rIndex, oldValue: this.registers[rIndex], newValue: value });
             this.registers[rIndex] = value;
         }
     }
     
-    addRegisters() {
-        // TODO: handle integer overflow
-        this.registers[0] = this.registers[0] + this.registers[1];
+    addRegisters(rIndex, sIndex) {
+        let [a, b] = [this.registers[rIndex], this.registers[sIndex]];
+        this.setArithmeticResult(rIndex, a + b, this.signed(a) + this.signed(b));
+    }
+    
+    /// The carry flag indicates a borrow, i.e. $Rn < $Rm unsigned.
+    subtractRegisters(rIndex, sIndex) {
+        let [a, b] = [this.registers[rIndex], this.registers[sIndex]];
+        this.setArithmeticResult(rIndex, a - b, this.signed(a) - this.signed(b));
+    }
+    
+    /// Keeps the low word of the product. The carry flag indicates a nonzero high word.
+    multiplyRegisters(rIndex, sIndex) {
+        let [a, b] = [this.registers[rIndex], this.registers[sIndex]];
+        this.setArithmeticResult(rIndex, BigInt(a) * BigInt(b), BigInt(this.signed(a)) * BigInt(this.signed(b)));
+    }
+    
+    /// Unsigned division, discarding the remainder. Throws if $Rm is zero.
+    divideRegisters(rIndex, sIndex) {
+        let [a, b] = [this.registers[rIndex], this.registers[sIndex]];
+        if (b == 0) {
+            throw new MachineError(MachineError.Code.divideByZero);
+        }
+        this.setLogicalResult(rIndex, Math.floor(a / b));
+    }
+    
+    /// Unsigned remainder. Throws if $Rm is zero.
+    moduloRegisters(rIndex, sIndex) {
+        let [a, b] = [this.registers[rIndex], this.registers[sIndex]];
+        if (b == 0) {
+            throw new MachineError(MachineError.Code.divideByZero);
+        }
+        this.setLogicalResult(rIndex, a % b);
+    }
+    
+    andRegisters(rIndex, sIndex) {
+        this.setLogicalResult(rIndex, (this.registers[rIndex] & this.registers[sIndex]) >>> 0);
+    }
+    
+    orRegisters(rIndex, sIndex) {
+        this.setLogicalResult(rIndex, (this.registers[rIndex] | this.registers[sIndex]) >>> 0);
+    }
+    
+    xorRegisters(rIndex, sIndex) {
+        this.setLogicalResult(rIndex, (this.registers[rIndex] ^ this.registers[sIndex]) >>> 0);
+    }
+    
+    notRegister(rIndex) {
+        this.setLogicalResult(rIndex, this.profile.wordRange - 1 - this.registers[rIndex]);
+    }
+    
+    /// The carry flag indicates that nonzero bits were shifted out.
+    shiftLeftRegister(rIndex, sIndex) {
+        let [a, shift] = [this.registers[rIndex], Math.min(this.registers[sIndex], this.profile.wordBits)];
+        this.setArithmeticResult(rIndex, BigInt(a) << BigInt(shift), BigInt(this.signed(a)) << BigInt(shift));
+    }
+    
+    /// Logical shift: zeros are shifted in. The carry flag indicates that nonzero bits were shifted out.
+    shiftRightRegister(rIndex, sIndex) {
+        let [a, shift] = [this.registers[rIndex], Math.min(this.registers[sIndex], this.profile.wordBits)];
+        let divisor = 2 ** shift;
+        this.setLogicalResult(rIndex, Math.floor(a / divisor));
+        this.flags.carry = (a % divisor) != 0;
     }
     
     branchIfZero(statementIndex, rIndex) {
@@ -138,16 +778,207 @@ export class Machine {
             this.setPC(statementIndex);
         }
     }
+    
+    branchIfFlag(flag, statementIndex) {
+        if (this.flags[flag]) {
+            this.setPC(statementIndex);
+        }
+    }
+    
+    loadRegister(rIndex, address) {
+        this.setRegister(rIndex, this.readWord(address));
+    }
+    
+    storeRegister(rIndex, address) {
+        if (this.isRegisterIndexValid(rIndex)) {
+            this.writeWord(address, this.registers[rIndex]);
+        }
+    }
+    
+    /// Decrements SP and stores a word on top of the stack. Throws if the stack is full.
+    /// `size`: optional size of the value in bytes, defaults to the profile's word size.
+    push(value, size) {
+        size = size ?? this.profile.wordSize;
+        if (this.sp - size < this.stackBase) {
+            throw new MachineError(MachineError.Code.stackOverflow);
+        }
+        this.sp -= size;
+        this.writeWord(this.sp, value, size);
+    }
+    
+    /// Returns the word on top of the stack and increments SP. Throws if the stack is empty.
+    /// `size`: optional size of the value in bytes, defaults to the profile's word size.
+    pop(size) {
+        size = size ?? this.profile.wordSize;
+        if (this.sp + size > this.memory.length) {
+            throw new MachineError(MachineError.Code.stackUnderflow);
+        }
+        let value = this.readWord(this.sp, size);
+        this.sp += size;
+        return value;
+    }
+    
+    pushRegister(rIndex) {
+        if (this.isRegisterIndexValid(rIndex)) {
+            this.push(this.registers[rIndex]);
+        }
+    }
+    
+    popRegister(rIndex) {
+        this.setRegister(rIndex, this.pop());
+    }
+    
+    /// Pushes the return address, i.e. the index of the statement following the CALL, then jumps. Return addresses are `MachineProfile.ADDRESS_SIZE` bytes regardless of word size.
+    callSubroutine(statementIndex) {
+        this.push(this.#pc, MachineProfile.ADDRESS_SIZE);
+        this.setPC(statementIndex);
+    }
+    
+    returnFromSubroutine() {
+        this.setPC(this.pop(MachineProfile.ADDRESS_SIZE));
+    }
+}
+
+/// A memory-mapped console device, exchanging characters between a Machine and its host. See `Machine.attachDevice`.
+/// Storing a word at the output port appends the character whose code is the word's low byte to the output. Loading a word from the input port removes and returns the next queued input character code, or zero if no input is queued. Loading from the status port returns the number of queued input characters.
+export class ConsoleDevice {
+    /// Offset of each port from the device's `address`.
+    static Port = {
+        output: 0,
+        input: 2,
+        status: 4
+    };
+    /// Number of bytes mapped to the device.
+    static SIZE = 6;
+    /// Default `address`: just below the stack in `MachineProfile.standard`.
+    static DEFAULT_ADDRESS = 0xfe00;
+    
+    address;
+    size;
+    /// Function called with a string of one character for each character written to the output port.
+    output;
+    #input; // array of character codes
+    
+    /// `config`: optional object with any of the properties:
+    /// - address: defaults to `DEFAULT_ADDRESS`.
+    /// - output: function receiving output characters, see `output`. Defaults to discarding output.
+    /// - input: string of characters to queue as input.
+    constructor(config) {
+        this.address = config?.address ?? ConsoleDevice.DEFAULT_ADDRESS;
+        this.size = ConsoleDevice.SIZE;
+        this.output = config?.output ?? (() => {});
+        this.#input = [];
+        this.queueInput(config?.input ?? "");
+    }
+    
+    /// Number of input characters not yet read by the machine.
+    get inputCount() {
+        return this.#input.length;
+    }
+    
+    /// Appends the characters of `text` to the input queue.
+    queueInput(text) {
+        for (const char of text) {
+            this.#input.push(char.codePointAt(0));
+        }
+    }
+    
+    read(offset, size) {
+        switch (offset) {
+        case ConsoleDevice.Port.input: return this.#input.shift() ?? 0;
+        case ConsoleDevice.Port.status: return this.#input.length;
+        default: return 0;
+        }
+    }
+    
+    write(offset, value, size) {
+        if (offset == ConsoleDevice.Port.output) {
+            this.output(String.fromCharCode(value & 0xff));
+        }
+    }
+}
+
+/// Configuration of a Machine's hardware: register count, word size, memory size, and enabled instruction set.
+/// Profiles let lessons start with a minimal machine and grow it, e.g. one profile per level.
+export class MachineProfile {
+    /// Supported values for `wordBits`.
+    static WORD_BITS = [8, 16, 32];
+    /// Size of a memory address, in bytes, for all profiles. Limits `memorySize`.
+    static ADDRESS_SIZE = 2;
+    /// Max `registerCount`: register operands are packed into 4-bit fields of machine code.
+    static MAX_REGISTERS = 16;
+    
+    name;
+    /// Total count of general-purpose registers.
+    registerCount;
+    /// Size of one word in bits: a `WORD_BITS` value. Registers, and words in memory, hold unsigned values less than `wordRange`.
+    /// Machine code for 32-bit profiles is wider: each statement takes 3 16-bit words rather than 2, to hold a 32-bit operand. See `AssemblyLanguage.statementWords`.
+    wordBits;
+    /// Size of memory in bytes.
+    memorySize;
+    /// Size of the stack in bytes, at the top of memory.
+    stackSize;
+    /// Array of keywords of enabled instructions, or null to enable all instructions.
+    instructions;
+    
+    /// `config`: object with any of the properties above. Missing properties default to the values of `standard`, except that the default `stackSize` is at most a quarter of `memorySize`.
+    /// Throws a MachineError if any value is invalid.
+    constructor(config) {
+        this.name = config.name ?? "custom";
+        this.registerCount = config.registerCount ?? Machine.NUM_REGISTERS;
+        this.wordBits = config.wordBits ?? 8 * Machine.WORD_SIZE;
+        this.memorySize = config.memorySize ?? Machine.WORD_RANGE;
+        this.stackSize = config.stackSize ?? Math.min(Machine.STACK_SIZE, Math.floor(this.memorySize / 4));
+        this.instructions = config.instructions ?? null;
+        
+        const check = (isValid, key) => {
+            if (!isValid) {
+                throw new MachineError(MachineError.Code.invalidProfile, { token: `${this[key]}`, detail: key });
+            }
+        };
+        check(Number.isInteger(this.registerCount) && this.registerCount >= 1 && this.registerCount <= MachineProfile.MAX_REGISTERS, "registerCount");
+        check(MachineProfile.WORD_BITS.includes(this.wordBits), "wordBits");
+        check(Number.isInteger(this.memorySize) && this.memorySize >= this.wordSize && this.memorySize <= 2 ** (8 * MachineProfile.ADDRESS_SIZE), "memorySize");
+        check(Number.isInteger(this.stackSize) && this.stackSize >= 0 && this.stackSize <= this.memorySize, "stackSize");
+        check(this.instructions === null || Array.isArray(this.instructions), "instructions");
+    }
+    
+    /// Size of one word, in bytes.
+    get wordSize() {
+        return this.wordBits / 8;
+    }
+    
+    /// Max unsigned value of one word, plus one.
+    get wordRange() {
+        return 2 ** this.wordBits;
+    }
+    
+    // Enumerated MachineProfile instances.
+    
+    /// The default profile: 2 registers, 16-bit words, 64 KB of memory, all instructions.
+    static standard = new MachineProfile({ name: "standard" });
 }
 
 /// An instance of DataType describes a specific format of data used in registers or instruction operands.
 export class DataType {
     name;
+    /// Size in bytes of a value in machine code. Zero or undefined indicates a small value packed into the instruction word.
+    width;
+    /// True if operands of this type can be written as a symbol reference (a label or `.equ` constant), resolved by the assembler.
+    acceptsLabels;
+    /// True if values can be written as register names, e.g. "R1" or "$R1" as well as "1".
+    acceptsRegisterNames;
+    /// True if negative values are accepted and stored as two's complement, e.g. -1 is parsed as `max`.
+    twosComplement;
     min;
     max;
     
     constructor(config) {
         this.name = config.name;
+        this.width = config.width;
+        this.acceptsLabels = !!config.acceptsLabels;
+        this.acceptsRegisterNames = !!config.acceptsRegisterNames;
+        this.twosComplement = !!config.twosComplement;
         this.min = config.min;
         this.max = config.max;
     }
@@ -156,77 +987,551 @@ export class DataType {
         return `${this.name} [${this.min} - ${this.max}]`;
     }
     
+    /// Escape sequences allowed in character literals, e.g. '\n'.
+    static characterEscapes = {
+        "0": 0,
+        "n": 10,
+        "r": 13,
+        "t": 9,
+        "\\": 92,
+        "'": 39,
+        "\"": 34
+    };
+    
+    /// Strictly parses an integer literal: decimal (`12`, `-12`), hexadecimal (`0x1f`), binary (`0b101`), or a character (`'A'`, `'\n'`), returning its numeric value.
+    /// Returns null for anything else, including trailing garbage or fractions.
+    static parseLiteral(text) {
+        let match = /^(-?)(?:0x([0-9a-f]+)|0b([01]+)|([0-9]+))$/i.exec(text);
+        if (match) {
+            let sign = match[1] ? -1 : 1;
+            if (match[2] !== undefined) { return sign * parseInt(match[2], 16); }
+            if (match[3] !== undefined) { return sign * parseInt(match[3], 2); }
+            return sign * parseInt(match[4], 10);
+        }
+        match = /^'(?:\\(.)|([^\\]))'$/u.exec(text);
+        if (match) {
+            if (match[1] !== undefined) {
+                return DataType.characterEscapes[match[1]] ?? null;
+            }
+            return match[2].codePointAt(0);
+        }
+        return null;
+    }
+    
+    /// Parses a value of this type from assembly code text. See `parseLiteral` for supported formats.
+    /// Throws a MachineError, with `token` and `expected` details, if `code` is not a valid value of this type.
     parse(code) {
-        let integer = parseInt(code);
-        if (isNaN(integer)) {
-            throw Error.machine.invalidInputType;
+        let text = `${code}`;
+        if (this.acceptsRegisterNames) {
+            text = text.replace(/^\$?R(?=[0-9]+$)/i, "");
+        }
+        let integer = DataType.parseLiteral(text);
+        if (integer === null) {
+            throw new MachineError(MachineError.Code.invalidInputType, { token: `${code}`, expected: this });
+        }
+        if (this.twosComplement && integer < 0 && integer >= -Math.ceil(this.max / 2)) {
+            integer += this.max + 1;
         }
         if (integer < this.min || integer > this.max) {
-            throw Error.machine.inputOutsideRange;
+            throw new MachineError(MachineError.Code.inputOutsideRange, { token: `${code}`, expected: this });
         }
         return integer;
     }
     
-    // Enumerated DataType instances.
-    
-    static register = new DataType({
-        name: "register",
-        min: 0,
-        max: Machine.NUM_REGISTERS - 1
-    });
+    /// DataTypes for operands of a Machine with the given MachineProfile: an object with `register`, `address` and `word` DataTypes.
+    static forProfile(profile) {
+        return {
+            register: new DataType({
+                name: "register",
+                acceptsRegisterNames: true,
+                min: 0,
+                max: profile.registerCount - 1
+            }),
+            address: new DataType({
+                name: "address",
+                width: MachineProfile.ADDRESS_SIZE,
+                acceptsLabels: true,
+                min: 0x0,
+                max: profile.memorySize - 1
+            }),
+            word: new DataType({
+                name: "word",
+                width: profile.wordSize,
+                acceptsLabels: true,
+                twosComplement: true,
+                min: 0,
+                max: profile.wordRange - 1
+            })
+        };
+    }
     
-    static address = new DataType({
-        name: "address",
-        width: Machine.WORD_SIZE,
-        min: 0x0,
-        max: Machine.WORD_RANGE
-    });
+    // Enumerated DataType instances, for `MachineProfile.standard`.
     
-    static word = new DataType({
-        name: "word",
-        width: Machine.WORD_SIZE,
-        min: 0,
-        max: Machine.WORD_RANGE
-    });
+    static standard = DataType.forProfile(MachineProfile.standard);
+    static register = DataType.standard.register;
+    static address = DataType.standard.address;
+    static word = DataType.standard.word;
 } // end class DataType.
 
 /// Specifications for instructions and other details of the Machine's assembly language.
 export class AssemblyLanguage {
+    /// Number of 16-bit words of machine code per statement, for profiles with words of at most 16 bits such as `MachineProfile.standard`. See `statementWords`.
+    static STATEMENT_WORDS = 2;
+    
     instructionSpecs; // Array of AssemblyInstruction
+    /// Number of 16-bit words of machine code per statement: one for the opcode and packed operands, plus enough to hold one word-sized operand. `STATEMENT_WORDS`, or 3 for 32-bit profiles.
+    /// Every statement, including no-ops, has the same encoded size, so statement indices (used as branch targets) map directly to image offsets.
+    statementWords;
     #syntax;
+    /// OperandSpecs for directive operands.
+    #valueSpec;
+    #addressSpec;
+    
+    /// `dataTypes`: optional DataTypes for directive operands, see `DataType.forProfile`. Defaults to `DataType.standard`.
+    constructor(instructionSpecs, dataTypes) {
+        this.instructionSpecs = instructionSpecs;
+        this.statementWords = 1 + Math.ceil((dataTypes ?? DataType.standard).word.width / Uint16Array.BYTES_PER_ELEMENT);
+        this.#syntax = new AssemblySyntax();
+        this.#valueSpec = new OperandSpec({ placeholder: "v", dataType: (dataTypes ?? DataType.standard).word });
+        this.#addressSpec = new OperandSpec({ placeholder: "a", dataType: (dataTypes ?? DataType.standard).address });
+    }
+    
+    getInstruction(keyword) {
+        let instruction = this.instructionSpecs.find(i => i.keyword == keyword);
+        if (!instruction) {
+            throw new MachineError(MachineError.Code.unknownInstruction, { token: keyword ?? null });
+        }
+        return instruction;
+    }
+    
+    getInstructionForOpcode(opcode) {
+        let instruction = this.instructionSpecs.find(i => i.opcode == opcode);
+        if (!instruction) {
+            throw new MachineError(MachineError.Code.unknownOpcode);
+        }
+        return instruction;
+    }
+    
+    /// Encodes an array of AssemblyStatements into a machine code image: a Uint16Array of `statementWords` words per statement.
+    /// No-op statements are encoded with opcode `AssemblyInstruction.Opcode.NOP`; their comments are not preserved.
+    /// Throws if any statement cannot be encoded.
+    encode(statements) {
+        let image = new Uint16Array(statements.length * this.statementWords);
+        statements.forEach((statement, index) => {
+            let words = statement.instruction
+                ? statement.instruction.encode(statement.operands, this.statementWords - 1)
+                : [AssemblyInstruction.Opcode.NOP << 8];
+            image.set(words, index * this.statementWords);
+        });
+        return image;
+    }
+    
+    /// Decodes a machine code image produced by `encode` back into an array of AssemblyStatements.
+    /// Throws if the image contains an opcode not in this language.
+    decode(image) {
+        let statements = [];
+        for (let offset = 0; offset < image.length; offset += this.statementWords) {
+            let words = image.subarray(offset, offset + this.statementWords);
+            let opcode = words[0] >> 8;
+            if (opcode == AssemblyInstruction.Opcode.NOP) {
+                statements.push(new AssemblyStatement(null, [], "", null));
+                continue;
+            }
+            let instruction = this.getInstructionForOpcode(opcode);
+            let operands = instruction.decodeOperands(words, this.statementWords - 1);
+            let statement = new AssemblyStatement(instruction, operands, "", null);
+            statement.text = this.disassembleStatement(statement);
+            statements.push(statement);
+        }
+        return statements;
+    }
+    
+    /// Canonical assembly code for a single AssemblyStatement, including its comment if any. Assembling the result with `assembleStatement` produces an equivalent statement.
+    disassembleStatement(statement) {
+        return this.#syntax.formatLine({
+            label: statement.label,
+            keyword: statement.instruction?.keyword ?? null,
+            operands: statement.operands,
+            comment: statement.comment
+        });
+    }
+    
+    /// Canonical assembly code, one line per statement, for an array of AssemblyStatements or a machine code image (Uint16Array, see `encode`).
+    disassemble(statementsOrImage) {
+        let statements = (statementsOrImage instanceof Uint16Array) ? this.decode(statementsOrImage) : statementsOrImage;
+        return statements
+            .map(statement => this.disassembleStatement(statement))
+            .join("\n");
+    }
+    
+    /// Assembles a complete program given as an array of lines of text. Produces one AssemblyStatement per line, so that statement indices (used as branch targets) match zero-based line numbers, except that each macro call also produces one statement per line of its expansion; use labels to branch past macro calls. Empty lines, directives and macro definitions become no-op statements.
+    /// Macros are expanded first, see `#expandMacros`. Then assembly takes two passes. The first defines symbols and lays out data: `label:` definitions, `.equ` constants, and the addresses of `.org`, `.word` and `.string` data. The second assembles each line, resolving symbol references in operands, and evaluates `.word` values.
+    /// Labels on `.word` and `.string` lines refer to the address of their data; other labels refer to the statement index. `.equ` and `.org` operands can only reference symbols defined on earlier lines.
+    /// Returns an object with:
+    /// - statements: array of AssemblyStatement.
+    /// - data: array of data blocks to load into memory: objects with an `address`, a Uint8Array of `bytes`, and the one-based `lineNumber` of the directive.
+    /// - lineNumbers: the one-based source line number of each statement. Statements produced by a macro expansion have the line number of the macro call.
+    /// - errors: MachineErrors with line numbers, sorted by line. Errors within a macro expansion are located at the macro call, with `MachineError.macro` identifying the line in the macro definition. The statements and data are not usable if there are any errors.
+    assemble(lines) {
+        let expansion = this.#expandMacros(lines);
+        let sources = expansion.lines;
+        let errors = expansion.errors;
+        let symbols = new Map();
+        let definitionLines = new Map();
+        let data = new Map(); // statement index => data block
+        let dataAddress = 0;
+        let parsedLines = sources.map(source => this.#syntax.tokenizeLine(source.code));
+        
+        const define = (name, value, source, column) => {
+            if (symbols.has(name)) {
+                throw new MachineError(MachineError.Code.duplicateLabel, {
+                    column: column,
+                    token: name,
+                    detail: `first defined on line ${definitionLines.get(name)}`
+                });
+            }
+            symbols.set(name, value);
+            definitionLines.set(name, source.lineNumber);
+        };
+        
+        parsedLines.forEach((line, index) => {
+            let source = sources[index];
+            try {
+                let labelValue = index;
+                switch (line.keyword) {
+                case AssemblyLanguage.Directive.word:
+                case AssemblyLanguage.Directive.string: {
+                    let bytes = this.#directiveData(line, null);
+                    if (dataAddress + bytes.length > this.#addressSpec.dataType.max + 1) {
+                        throw new MachineError(MachineError.Code.memoryOutOfBounds, { column: line.columns.keyword, token: line.keyword });
+                    }
+                    labelValue = dataAddress;
+                    data.set(index, { address: dataAddress, bytes: bytes, lineNumber: source.lineNumber });
+                    dataAddress += bytes.length;
+                    break;
+                }
+                case AssemblyLanguage.Directive.org:
+                    AssemblyLanguage.#checkDirectiveFormat(line, 1);
+                    dataAddress = this.#parseDirectiveOperand(line, 0, this.#addressSpec, symbols);
+                    break;
+                case AssemblyLanguage.Directive.equ:
+                    AssemblyLanguage.#checkDirectiveFormat(line, 2);
+                    if (!AssemblySyntax.isIdentifier(line.operands[0])) {
+                        throw new MachineError(MachineError.Code.invalidLabel, { column: line.columns.operands[0], token: line.operands[0] });
+                    }
+                    define(line.operands[0], this.#parseDirectiveOperand(line, 1, this.#valueSpec, symbols), source, line.columns.operands[0]);
+                    break;
+                default:
+                    if (AssemblySyntax.isDirective(line.keyword)) {
+                        throw new MachineError(MachineError.Code.unsupportedDirective, { column: line.columns.keyword, token: line.keyword });
+                    }
+                }
+                if (line.label && AssemblySyntax.isIdentifier(line.label)) {
+                    define(line.label, labelValue, source, line.columns.label);
+                }
+            } catch (e) {
+                if (!(e instanceof MachineError)) { throw e; }
+                errors.push(AssemblyLanguage.#locateExpandedError(e, source));
+            }
+        });
+        
+        let statements = sources.map((source, index) => {
+            let line = parsedLines[index];
+            try {
+                if (AssemblySyntax.isDirective(line.keyword)) {
+                    if (line.keyword == AssemblyLanguage.Directive.word && data.has(index)) {
+                        data.get(index).bytes = this.#directiveData(line, symbols);
+                    }
+                    return new AssemblyStatement(null, [], source.text, line.comment, line.label);
+                }
+                let statement = this.assembleStatement(source.code, symbols) ?? new AssemblyStatement(null, [], source.text, null);
+                statement.text = source.text;
+                return statement;
+            } catch (e) {
+                if (!(e instanceof MachineError)) { throw e; }
+                errors.push(AssemblyLanguage.#locateExpandedError(e, source));
+                return null;
+            }
+        });
+        errors.sort((a, b) => a.lineNumber - b.lineNumber);
+        return {
+            statements: statements,
+            data: Array.from(data.values()),
+            lineNumbers: sources.map(source => source.lineNumber),
+            errors: errors
+        };
+    }
+    
+    /// Enumeration of assembler directive keywords. Directives are only valid in `assemble`, not `assembleStatement`.
+    static Directive = {
+        /// `.equ name value`: defines a named constant.
+        equ: ".EQU",
+        /// `.org a`: sets the memory address of subsequent data.
+        org: ".ORG",
+        /// `.word v1 v2 ...`: stores words in memory.
+        word: ".WORD",
+        /// `.string "text"`: stores one byte per character in memory, followed by a zero byte.
+        string: ".STRING",
+        /// `.macro NAME p1 p2 ...`: begins a macro definition with named parameters. Subsequent lines, up to `.endm`, are the macro's body.
+        macro: ".MACRO",
+        /// `.endm`: ends a macro definition.
+        endm: ".ENDM"
+    };
+    
+    /// Expands macro definitions and calls in `lines` of source text, before assembly.
+    /// A macro is called by using its name as an instruction keyword, e.g. `CLEAR 0`, on any line after its definition. Each call is replaced by the macro's body, substituting the call's operand tokens for parameter names in the body's operands. Macro bodies can call previously defined macros, but not recursively.
+    /// Labels defined in a macro body are local to each expansion: they are renamed to `label__<site>`, where site is the call's line number (followed by `_<line>` for each nested call's line in a macro definition), along with references to them in the body's operands. `.equ` constants defined in a macro body are not renamed.
+    /// Returns an object with:
+    /// - lines: array of objects describing each line to assemble: the assembly `code`; the `text` for its AssemblyStatement; the one-based source `lineNumber`; and for lines produced by a macro expansion, the `column` of the macro call's keyword and the `macro` (see `MachineError.macro`) the line came from. Macro definitions become empty lines, and each macro call becomes a line with only the call's label and comment, followed by the lines of its expansion.
+    /// - errors: MachineErrors for invalid macro definitions and calls.
+    #expandMacros(lines) {
+        let macros = new Map(); // name => { name, lineNumber, parameters, body }
+        let definition = null;
+        let expanded = [];
+        let errors = [];
+        
+        lines.forEach((text, index) => {
+            let source = { code: "", text: text, lineNumber: index + 1, column: null, macro: null };
+            let line = this.#syntax.tokenizeLine(text);
+            try {
+                if (definition) {
+                    expanded.push(source);
+                    if (line.keyword == AssemblyLanguage.Directive.endm) {
+                        if (definition.isValid) { macros.set(definition.name, definition); }
+                        definition = null;
+                    } else if (line.keyword == AssemblyLanguage.Directive.macro) {
+                        throw new MachineError(MachineError.Code.invalidMacro, {
+                            column: line.columns.keyword,
+                            token: line.keyword,
+                            detail: "macro definitions cannot be nested"
+                        });
+                    } else {
+                        definition.body.push({ text: text, lineNumber: source.lineNumber });
+                    }
+                } else if (line.keyword == AssemblyLanguage.Directive.macro) {
+                    expanded.push(source);
+                    definition = { name: null, lineNumber: source.lineNumber, parameters: [], body: [], isValid: false };
+                    this.#defineMacro(definition, line, macros);
+                } else if (line.keyword == AssemblyLanguage.Directive.endm) {
+                    expanded.push(source);
+                    throw new MachineError(MachineError.Code.invalidMacro, {
+                        column: line.columns.keyword,
+                        token: line.keyword,
+                        detail: `no matching ${AssemblyLanguage.Directive.macro}`
+                    });
+                } else if (macros.has(line.keyword)) {
+                    source.code = text.substring(0, line.columns.keyword.start) + (line.comment !== null ? `# ${line.comment}` : "");
+                    expanded.push(source);
+                    for (const expansion of this.#expandMacro(macros, line, [], `${source.lineNumber}`)) {
+                        expanded.push({ code: expansion.code, text: expansion.code, lineNumber: source.lineNumber, column: line.columns.keyword, macro: expansion.macro });
+                    }
+                } else {
+                    source.code = text;
+                    expanded.push(source);
+                }
+            } catch (e) {
+                if (!(e instanceof MachineError)) { throw e; }
+                errors.push(AssemblyLanguage.#locateExpandedError(e, { lineNumber: source.lineNumber, column: line.columns.keyword }));
+            }
+        });
+        
+        if (definition) {
+            errors.push(new MachineError(MachineError.Code.invalidMacro, {
+                lineNumber: definition.lineNumber,
+                token: definition.name,
+                detail: `missing ${AssemblyLanguage.Directive.endm}`
+            }));
+        }
+        return { lines: expanded, errors: errors };
+    }
+    
+    /// Validates the `.macro` line of a macro definition, filling in `definition`'s name and parameters.
+    #defineMacro(definition, line, macros) {
+        if (line.operands.length == 0) {
+            AssemblyLanguage.#checkDirectiveFormat(line, 1);
+        }
+        let invalid = (index, detail) => new MachineError(MachineError.Code.invalidMacro, {
+            column: line.columns.operands[index],
+            token: line.operands[index],
+            detail: detail
+        });
+        definition.name = line.operands[0].toUpperCase();
+        if (!AssemblySyntax.isIdentifier(definition.name)) {
+            throw invalid(0, "invalid macro name");
+        }
+        if (macros.has(definition.name)) {
+            throw invalid(0, `first defined on line ${macros.get(definition.name).lineNumber}`);
+        }
+        if (this.instructionSpecs.some(instruction => instruction.keyword == definition.name)) {
+            throw invalid(0, "name of an instruction");
+        }
+        definition.parameters = line.operands.slice(1);
+        definition.parameters.forEach((parameter, index) => {
+            if (!AssemblySyntax.isIdentifier(parameter)) {
+                throw invalid(index + 1, "invalid parameter name");
+            }
+            if (definition.parameters.indexOf(parameter) != index) {
+                throw invalid(index + 1, "duplicate parameter name");
+            }
+        });
+        definition.isValid = true;
+    }
+    
+    /// Expands a single macro call, given its tokenized `line`. `callers`: names of the macros currently being expanded, to detect recursion. `site`: suffix for labels defined in the macro body, unique to this call.
+    /// Returns an array of objects with the assembly `code` of each expanded line and the `macro` (see `MachineError.macro`) it came from.
+    #expandMacro(macros, line, callers, site) {
+        let macro = macros.get(line.keyword);
+        if (callers.includes(macro.name)) {
+            throw new MachineError(MachineError.Code.invalidMacro, { column: line.columns.keyword, token: line.keyword, detail: "recursive macro call" });
+        }
+        if (line.operands.length != macro.parameters.length) {
+            let count = macro.parameters.length;
+            throw new MachineError(MachineError.Code.invalidInstructionFormat, {
+                column: line.columns.keyword,
+                token: line.keyword,
+                detail: `expected ${count} operand${count == 1 ? "" : "s"}: ${[macro.name].concat(macro.parameters).join(" ")}`
+            });
+        }
+        let args = new Map(macro.parameters.map((parameter, index) => [parameter, line.operands[index]]));
+        let body = macro.body.map(bodyLine => ({ tokens: this.#syntax.tokenizeLine(bodyLine.text), lineNumber: bodyLine.lineNumber }));
+        let labels = new Map(body
+            .filter(bodyLine => bodyLine.tokens.label && AssemblySyntax.isIdentifier(bodyLine.tokens.label))
+            .map(bodyLine => [bodyLine.tokens.label, `${bodyLine.tokens.label}__${site}`]));
+        let expanded = [];
+        for (const bodyLine of body) {
+            let bodyTokens = bodyLine.tokens;
+            let location = { name: macro.name, lineNumber: bodyLine.lineNumber };
+            bodyTokens.label = labels.get(bodyTokens.label) ?? bodyTokens.label;
+            bodyTokens.operands = bodyTokens.operands.map(operand => args.get(operand) ?? labels.get(operand) ?? operand);
+            try {
+                if (macros.has(bodyTokens.keyword)) {
+                    expanded = expanded.concat(this.#expandMacro(macros, bodyTokens, callers.concat([macro.name]), `${site}_${bodyLine.lineNumber}`));
+                } else {
+                    expanded.push({ code: this.#syntax.formatLine(bodyTokens), macro: location });
+                }
+            } catch (e) {
+                throw e.locate({ macro: location });
+            }
+        }
+        return expanded;
+    }
+    
+    /// Adds the source location of a line produced by `#expandMacros` to an error. For lines produced by a macro expansion, the error's column is the macro call's column rather than the column within the expanded code.
+    static #locateExpandedError(error, source) {
+        if (source.macro || error.macro) {
+            error.column = null;
+        }
+        return error.locate({ lineNumber: source.lineNumber, column: source.column, macro: source.macro });
+    }
     
-    constructor(instructionSpecs) {
-        this.instructionSpecs = instructionSpecs;
-        this.#syntax = new AssemblySyntax();
+    static #checkDirectiveFormat(line, operandCount) {
+        if (line.operands.length != operandCount) {
+            throw new MachineError(MachineError.Code.invalidInstructionFormat, {
+                column: line.columns.keyword,
+                token: line.keyword,
+                detail: `expected ${operandCount} operand${operandCount == 1 ? "" : "s"}`
+            });
+        }
     }
     
-    getInstruction(keyword) {
-        let instruction = this.instructionSpecs.find(i => i.keyword == keyword);
-        if (!instruction) {
-            throw Error.machine.unknownInstruction;
+    #parseDirectiveOperand(line, index, spec, symbols) {
+        try {
+            return this.parseOperand(spec, line.operands[index], symbols);
+        } catch (e) {
+            e.expected = spec;
+            throw e.locate({ column: line.columns.operands[index], token: line.operands[index] });
         }
-        return instruction;
+    }
+    
+    /// Bytes of memory for a `.word` or `.string` directive. If `symbols` is null, `.word` values are not evaluated, only counted.
+    #directiveData(line, symbols) {
+        if (line.keyword == AssemblyLanguage.Directive.string) {
+            AssemblyLanguage.#checkDirectiveFormat(line, 1);
+            let codes = AssemblySyntax.parseStringLiteral(line.operands[0]);
+            if (!codes || codes.some(code => code > 0xff)) {
+                throw new MachineError(MachineError.Code.invalidInputType, { column: line.columns.operands[0], token: line.operands[0] });
+            }
+            return Uint8Array.from(codes.concat([0]));
+        }
+        
+        if (line.operands.length == 0) {
+            AssemblyLanguage.#checkDirectiveFormat(line, 1);
+        }
+        let wordSize = this.#valueSpec.dataType.width;
+        let bytes = new Uint8Array(line.operands.length * wordSize);
+        if (symbols) {
+            line.operands.forEach((operand, index) => {
+                let value = this.#parseDirectiveOperand(line, index, this.#valueSpec, symbols);
+                for (let i = 0; i < wordSize; i += 1) {
+                    bytes[index * wordSize + i] = value % 0x100;
+                    value = Math.floor(value / 0x100);
+                }
+            });
+        }
+        return bytes;
     }
     
     /// Parses a single line of assembly code into an AssemblyStatement.
+    /// `symbols`: optional Map of symbol names (labels and constants) to values, used to resolve symbol references in operands whose DataType `acceptsLabels`.
     /// Returns a null value, or an AssemblyStatement with a null instruction value, for various types of valid but empty statements.
-    /// Throws a Machine.Error if it fails to parse.
-    assembleStatement(text) {
+    /// Throws a MachineError, with the column and text of the offending token, if it fails to parse.
+    assembleStatement(text, symbols) {
         let line = this.#syntax.tokenizeLine(text);
-        if (!line.keyword && !line.comment) { return null; }
+        if (!line.keyword && !line.comment && !line.label) { return null; }
+        if (line.label && !AssemblySyntax.isIdentifier(line.label)) {
+            throw new MachineError(MachineError.Code.invalidLabel, { column: line.columns.label, token: line.label });
+        }
+        
+        if (AssemblySyntax.isDirective(line.keyword)) {
+            throw new MachineError(MachineError.Code.unsupportedDirective, {
+                column: line.columns.keyword,
+                token: line.keyword,
+                detail: "directives are only supported when assembling a complete program"
+            });
+        }
         
         if (line.keyword) {
-            let instruction = this.getInstruction(line.keyword);
+            let instruction;
+            try {
+                instruction = this.getInstruction(line.keyword);
+            } catch (e) {
+                throw e.locate({ column: line.columns.keyword });
+            }
             if (line.operands.length != instruction.operands.length) {
-                throw Error.machine.invalidInstructionFormat;
+                throw new MachineError(MachineError.Code.invalidInstructionFormat, {
+                    column: line.columns.keyword,
+                    token: line.keyword,
+                    detail: `expected ${instruction.operands.length} operand${instruction.operands.length == 1 ? "" : "s"}: ${instruction.exampleText}`
+                });
             }
             let operands = instruction.operands.map((spec, index) => {
-                return spec.dataType.parse(line.operands[index]);
+                try {
+                    return this.parseOperand(spec, line.operands[index], symbols);
+                } catch (e) {
+                    // The OperandSpec is more specific than the DataType that `parse` reports.
+                    e.expected = spec;
+                    throw e.locate({ column: line.columns.operands[index], token: line.operands[index] });
+                }
             });
-            return new AssemblyStatement(instruction, operands, text, line.comment);
+            return new AssemblyStatement(instruction, operands, text, line.comment, line.label);
         } else {
-            return new AssemblyStatement(null, [], text, line.comment);
+            return new AssemblyStatement(null, [], text, line.comment, line.label);
+        }
+    }
+    
+    /// Parses one operand token per `spec`, resolving label references if the spec's DataType `acceptsLabels`. Symbol values must be in the DataType's range, like literals.
+    parseOperand(spec, token, symbols) {
+        if (spec.dataType.acceptsLabels && AssemblySyntax.isIdentifier(token)) {
+            if (!symbols?.has(token)) {
+                throw new MachineError(MachineError.Code.undefinedLabel, { token: token });
+            }
+            let value = symbols.get(token);
+            if (value < spec.dataType.min || value > spec.dataType.max) {
+                throw new MachineError(MachineError.Code.inputOutsideRange, { token: token, expected: spec.dataType });
+            }
+            return value;
         }
+        return spec.dataType.parse(token);
     }
 }
 
@@ -238,24 +1543,101 @@ export class AssemblySyntax {
         operand: "operand"
     };
     
+    /// True if `token` is a valid label name: a letter or underscore followed by letters, digits or underscores. Label names are case-sensitive.
+    static isIdentifier(token) {
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(token);
+    }
+    
+    /// True if a keyword returned by `tokenizeLine` is an assembler directive, e.g. ".WORD".
+    static isDirective(keyword) {
+        return !!keyword && keyword.startsWith(".");
+    }
+    
+    /// Parses a double-quoted string literal token, e.g. `"Hi!\n"`, into an array of character codes. Supports the escape sequences in `DataType.characterEscapes`.
+    /// Returns null if the token is not a valid string literal.
+    static parseStringLiteral(token) {
+        let match = /^"((?:[^"\\]|\\.)*)"$/u.exec(token);
+        if (!match) { return null; }
+        let codes = [];
+        for (const escape of match[1].matchAll(/\\(.)|(.)/gu)) {
+            if (escape[1] !== undefined) {
+                let code = DataType.characterEscapes[escape[1]];
+                if (code === undefined) { return null; }
+                codes.push(code);
+            } else {
+                codes.push(escape[2].codePointAt(0));
+            }
+        }
+        return codes;
+    }
+    
     /// Parses a single line of assembly code into cleaned tokens with metadata.
+    /// A first token ending with ":" defines a label for the line, e.g. `loop: ADD 0 1`.
+    /// Quoted string and character literals, e.g. `"a # b"` or `' '`, are single tokens that may contain spaces and "#".
+    /// `columns` gives the zero-based span, `{ start, end }` with end exclusive, of the label (without ":"), keyword, and each operand token within `text`.
     tokenizeLine(text) {
         let comment = null;
-        let index = text.indexOf("#");
-        if (index >= 0) {
-            comment = text.substring(index + 1).trim();
-            text = text.substring(0, index);
+        let tokens = [];
+        let token = null;
+        let quote = null;
+        for (let index = 0; index < text.length; index += 1) {
+            let char = text[index];
+            if (quote) {
+                token.text += char;
+                if (char == "\\" && index + 1 < text.length) {
+                    index += 1;
+                    token.text += text[index];
+                } else if (char == quote) {
+                    quote = null;
+                }
+            } else if (char == "#") {
+                comment = text.substring(index + 1).trim();
+                break;
+            } else if (/\s/.test(char)) {
+                token = null;
+            } else {
+                if (!token) {
+                    token = { text: "", column: { start: index, end: index } };
+                    tokens.push(token);
+                }
+                if (char == "\"" || char == "'") {
+                    quote = char;
+                }
+                token.text += char;
+            }
+            if (token) {
+                token.column.end = token.column.start + token.text.length;
+            }
         }
         
-        let tokens = text.trim().split(" ").filter(item => item.length > 0);
-        let keyword = tokens.length > 0 ? tokens.shift().toUpperCase() : null;
+        let label = (tokens.length > 0 && tokens[0].text.endsWith(":")) ? tokens.shift() : null;
+        let keyword = tokens.length > 0 ? tokens.shift() : null;
         
         return {
-            keyword: keyword,
-            operands: tokens,
-            comment: comment
+            label: label ? label.text.slice(0, -1) : null,
+            keyword: keyword ? keyword.text.toUpperCase() : null,
+            operands: tokens.map(token => token.text),
+            comment: comment,
+            columns: {
+                label: label ? { start: label.column.start, end: label.column.end - 1 } : null,
+                keyword: keyword ? keyword.column : null,
+                operands: tokens.map(token => token.column)
+            }
         };
     }
+    
+    /// Formats tokens in the structure returned by `tokenizeLine` as a single line of canonical assembly code.
+    /// Canonical form: label, keyword and operands separated by single spaces, then the comment, if any, separated by " # ".
+    formatLine(line) {
+        let tokens = line.label ? [`${line.label}:`] : [];
+        if (line.keyword) {
+            tokens = tokens.concat([line.keyword], line.operands.map(operand => `${operand}`));
+        }
+        if (line.comment) {
+            tokens.push(`# ${line.comment}`);
+        }
+        return tokens.join(" ");
+    }
 }
 
 /// Specifications for a single operand in an assembly instruction, and how to encode/decode its value within a machine code instruction.
@@ -271,44 +1653,119 @@ export class OperandSpec {
     get helpText() {
         return `${this.placeholder}: ${this.dataType.helpText}`;
     }
+    
+    /// True if the value is packed into a 4-bit field of the instruction word, rather than stored in its own word.
+    get isPacked() {
+        return !this.dataType.width;
+    }
 }
 
 /// An abstract specification of the behavior of a specific assembly language instruction.
 export class AssemblyInstruction {
+    /// Opcode table: machine code value for each instruction keyword.
+    static Opcode = {
+        NOP: 0x00,
+        SET: 0x01,
+        ADD: 0x10,
+        SUB: 0x11,
+        MUL: 0x12,
+        DIV: 0x13,
+        MOD: 0x14,
+        AND: 0x18,
+        OR: 0x19,
+        XOR: 0x1a,
+        NOT: 0x1b,
+        SHL: 0x1c,
+        SHR: 0x1d,
+        BZ: 0x20,
+        BFZ: 0x21,
+        BFC: 0x22,
+        BFV: 0x23,
+        BFN: 0x24,
+        LOAD: 0x30,
+        STORE: 0x31,
+        PUSH: 0x40,
+        POP: 0x41,
+        CALL: 0x42,
+        RET: 0x43
+    };
+    /// Max number of packed (register) operands, each stored in a 4-bit field of the instruction word.
+    static MAX_PACKED_OPERANDS = 2;
+    
     keyword;
+    opcode; // AssemblyInstruction.Opcode value
     operands; // array of OperandSpec
     microcode; // Machine.prototype.someFunction
     description;
     
     constructor(config) {
         this.keyword = config.keyword;
+        this.opcode = config.opcode;
         this.operands = config.operands;
         this.microcode = config.microcode;
         this.description = config.description;
     }
     
-    /// Executes this instruction in `machine` with the given tokenized operand text.
-    execute(tokens, machine) {
-        // TODO: this is obsolete, use Machine.append + Machine.step or .run
-        throw Error.machine.invalidInstructionFormat;
-            
-        if (tokens.length != this.operands.length) {
-            throw Error.machine.invalidInstructionFormat;
-        }
-        let values = this.operands.map((spec, index) => {
-            return spec.dataType.parse(tokens[index]);
+    /// Encodes this instruction with the given operand values as `1 + operandWords` words of machine code, see `AssemblyLanguage.statementWords`.
+    /// The first word holds the opcode in its high byte and packed operands in 4-bit fields of its low byte, high nibble first. The remaining `operandWords` words (default 1) hold the one unpacked operand, if any, low word first.
+    /// Throws if the operands don't fit this layout.
+    encode(values, operandWords) {
+        operandWords = operandWords ?? 1;
+        let words = new Array(1 + operandWords).fill(0);
+        words[0] = this.opcode << 8;
+        let packedCount = 0;
+        let unpackedCount = 0;
+        this.operands.forEach((spec, index) => {
+            let value = values[index];
+            if (spec.isPacked) {
+                if (packedCount >= AssemblyInstruction.MAX_PACKED_OPERANDS || value < 0 || value > 0xf) {
+                    throw new MachineError(MachineError.Code.unencodableStatement);
+                }
+                words[0] |= value << (4 * (AssemblyInstruction.MAX_PACKED_OPERANDS - 1 - packedCount));
+                packedCount += 1;
+            } else {
+                if (unpackedCount >= 1 || value < 0 || value >= 0x10000 ** operandWords) {
+                    throw new MachineError(MachineError.Code.unencodableStatement);
+                }
+                for (let i = 0; i < operandWords; i += 1) {
+                    words[1 + i] = Math.floor(value / (0x10000 ** i)) % 0x10000;
+                }
+                unpackedCount += 1;
+            }
+        });
+        return words;
+    }
+    
+    /// Decodes operand values from machine code words produced by `encode` with the same `operandWords`.
+    decodeOperands(words, operandWords) {
+        operandWords = operandWords ?? 1;
+        let packedCount = 0;
+        return this.operands.map(spec => {
+            if (spec.isPacked) {
+                let shift = 4 * (AssemblyInstruction.MAX_PACKED_OPERANDS - 1 - packedCount);
+                packedCount += 1;
+                return (words[0] >> shift) & 0xf;
+            } else {
+                let value = 0;
+                for (let i = operandWords; i >= 1; i -= 1) {
+                    value = value * 0x10000 + words[i];
+                }
+                return value;
+            }
         });
-        this.microcode.apply(machine, values);
+    }
+    
+    /// The keyword followed by each operand's placeholder, e.g. "SET n i".
+    get exampleText() {
+        return [this.keyword]
+            .concat(this.operands.map(spec => spec.placeholder))
+            .join(" ");
     }
     
     get helpText() {
-        let exampleTokens = [this.keyword];
-        for (const spec of this.operands) {
-            exampleTokens.push(spec.placeholder);
-        }
         let lines = [
             `${this.keyword}: ${this.description}`,
-            `Example: ${exampleTokens.join(" ")}`
+            `Example: ${this.exampleText}`
         ];
         for (const spec of this.operands) {
             lines.push(spec.helpText);
@@ -317,18 +1774,20 @@ export class AssemblyInstruction {
     }
     
     // Enumerated AssemblyInstruction instances.
+    // `types`: DataTypes for operands, see `DataType.forProfile`.
     
-    static setRegister(registerCount) {
+    static setRegister(types) {
         return new AssemblyInstruction({
             keyword: "SET",
+            opcode: AssemblyInstruction.Opcode.SET,
             operands: [
                 new OperandSpec({
                     placeholder: "n",
-                    dataType: DataType.register
+                    dataType: types.register
                 }),
                 new OperandSpec({
                     placeholder: "i",
-                    dataType: DataType.word
+                    dataType: types.word
                 })
             ],
             microcode: Machine.prototype.setRegister,
@@ -336,30 +1795,244 @@ export class AssemblyInstruction {
         });
     }
     
-    static addRegisters = new AssemblyInstruction({
-        keyword: "ADD",
-        operands: [],
-        microcode: Machine.prototype.addRegisters,
-        description: "Sets $R0 = $R0 + $R1"
-    });
+    /// OperandSpecs for instructions operating on one or more registers, e.g. `ADD n m`.
+    static registerOperands(types, ...placeholders) {
+        return placeholders.map(placeholder => new OperandSpec({
+            placeholder: placeholder,
+            dataType: types.register
+        }));
+    }
+    
+    static addRegisters(types) {
+        return new AssemblyInstruction({
+            keyword: "ADD",
+            opcode: AssemblyInstruction.Opcode.ADD,
+            operands: AssemblyInstruction.registerOperands(types, "n", "m"),
+            microcode: Machine.prototype.addRegisters,
+            description: "Sets $Rn = $Rn + $Rm"
+        });
+    }
+    
+    static subtractRegisters(types) {
+        return new AssemblyInstruction({
+            keyword: "SUB",
+            opcode: AssemblyInstruction.Opcode.SUB,
+            operands: AssemblyInstruction.registerOperands(types, "n", "m"),
+            microcode: Machine.prototype.subtractRegisters,
+            description: "Sets $Rn = $Rn - $Rm"
+        });
+    }
+    
+    static multiplyRegisters(types) {
+        return new AssemblyInstruction({
+            keyword: "MUL",
+            opcode: AssemblyInstruction.Opcode.MUL,
+            operands: AssemblyInstruction.registerOperands(types, "n", "m"),
+            microcode: Machine.prototype.multiplyRegisters,
+            description: "Sets $Rn = $Rn * $Rm"
+        });
+    }
+    
+    static divideRegisters(types) {
+        return new AssemblyInstruction({
+            keyword: "DIV",
+            opcode: AssemblyInstruction.Opcode.DIV,
+            operands: AssemblyInstruction.registerOperands(types, "n", "m"),
+            microcode: Machine.prototype.divideRegisters,
+            description: "Sets $Rn = $Rn / $Rm, unsigned, rounded down. Faults if $Rm == 0"
+        });
+    }
+    
+    static moduloRegisters(types) {
+        return new AssemblyInstruction({
+            keyword: "MOD",
+            opcode: AssemblyInstruction.Opcode.MOD,
+            operands: AssemblyInstruction.registerOperands(types, "n", "m"),
+            microcode: Machine.prototype.moduloRegisters,
+            description: "Sets $Rn = $Rn % $Rm, unsigned. Faults if $Rm == 0"
+        });
+    }
+    
+    static andRegisters(types) {
+        return new AssemblyInstruction({
+            keyword: "AND",
+            opcode: AssemblyInstruction.Opcode.AND,
+            operands: AssemblyInstruction.registerOperands(types, "n", "m"),
+            microcode: Machine.prototype.andRegisters,
+            description: "Sets $Rn = $Rn & $Rm (bitwise)"
+        });
+    }
+    
+    static orRegisters(types) {
+        return new AssemblyInstruction({
+            keyword: "OR",
+            opcode: AssemblyInstruction.Opcode.OR,
+            operands: AssemblyInstruction.registerOperands(types, "n", "m"),
+            microcode: Machine.prototype.orRegisters,
+            description: "Sets $Rn = $Rn | $Rm (bitwise)"
+        });
+    }
+    
+    static xorRegisters(types) {
+        return new AssemblyInstruction({
+            keyword: "XOR",
+            opcode: AssemblyInstruction.Opcode.XOR,
+            operands: AssemblyInstruction.registerOperands(types, "n", "m"),
+            microcode: Machine.prototype.xorRegisters,
+            description: "Sets $Rn = $Rn ^ $Rm (bitwise)"
+        });
+    }
+    
+    static notRegister(types) {
+        return new AssemblyInstruction({
+            keyword: "NOT",
+            opcode: AssemblyInstruction.Opcode.NOT,
+            operands: AssemblyInstruction.registerOperands(types, "n"),
+            microcode: Machine.prototype.notRegister,
+            description: "Sets $Rn = ~$Rn (bitwise)"
+        });
+    }
+    
+    static shiftLeftRegister(types) {
+        return new AssemblyInstruction({
+            keyword: "SHL",
+            opcode: AssemblyInstruction.Opcode.SHL,
+            operands: AssemblyInstruction.registerOperands(types, "n", "m"),
+            microcode: Machine.prototype.shiftLeftRegister,
+            description: "Sets $Rn = $Rn << $Rm"
+        });
+    }
+    
+    static shiftRightRegister(types) {
+        return new AssemblyInstruction({
+            keyword: "SHR",
+            opcode: AssemblyInstruction.Opcode.SHR,
+            operands: AssemblyInstruction.registerOperands(types, "n", "m"),
+            microcode: Machine.prototype.shiftRightRegister,
+            description: "Sets $Rn = $Rn >> $Rm, shifting in zeros"
+        });
+    }
     
-    static branchIfZero(registerCount) {
+    static branchIfZero(types) {
         return new AssemblyInstruction({
             keyword: "BZ",
+            opcode: AssemblyInstruction.Opcode.BZ,
             operands: [
                 new OperandSpec({
                     placeholder: "p",
-                    dataType: DataType.address
+                    dataType: types.address
                 }),
                 new OperandSpec({
                     placeholder: "n",
-                    dataType: DataType.register
+                    dataType: types.register
                 })
             ],
             microcode: Machine.prototype.branchIfZero,
             description: "Jumps (sets PC) to index p if $Rn == 0"
         });
     }
+    
+    /// BFZ, BFC, BFV, BFN: jumps if the given `Machine.Flag` is set.
+    static branchIfFlag(flag, types) {
+        let keyword = `BF${Machine.FlagLetter[flag]}`;
+        return new AssemblyInstruction({
+            keyword: keyword,
+            opcode: AssemblyInstruction.Opcode[keyword],
+            operands: [
+                new OperandSpec({
+                    placeholder: "p",
+                    dataType: types.address
+                })
+            ],
+            microcode: function(statementIndex) {
+                this.branchIfFlag(flag, statementIndex);
+            },
+            description: `Jumps (sets PC) to index p if the ${flag} flag is set`
+        });
+    }
+    
+    static loadRegister(types) {
+        return new AssemblyInstruction({
+            keyword: "LOAD",
+            opcode: AssemblyInstruction.Opcode.LOAD,
+            operands: [
+                new OperandSpec({
+                    placeholder: "n",
+                    dataType: types.register
+                }),
+                new OperandSpec({
+                    placeholder: "a",
+                    dataType: types.address
+                })
+            ],
+            microcode: Machine.prototype.loadRegister,
+            description: "Sets $Rn to the word stored in memory at address a"
+        });
+    }
+    
+    static storeRegister(types) {
+        return new AssemblyInstruction({
+            keyword: "STORE",
+            opcode: AssemblyInstruction.Opcode.STORE,
+            operands: [
+                new OperandSpec({
+                    placeholder: "n",
+                    dataType: types.register
+                }),
+                new OperandSpec({
+                    placeholder: "a",
+                    dataType: types.address
+                })
+            ],
+            microcode: Machine.prototype.storeRegister,
+            description: "Stores the value of $Rn as a word in memory at address a"
+        });
+    }
+    
+    static pushRegister(types) {
+        return new AssemblyInstruction({
+            keyword: "PUSH",
+            opcode: AssemblyInstruction.Opcode.PUSH,
+            operands: AssemblyInstruction.registerOperands(types, "n"),
+            microcode: Machine.prototype.pushRegister,
+            description: "Pushes the value of $Rn onto the stack. Faults if the stack is full"
+        });
+    }
+    
+    static popRegister(types) {
+        return new AssemblyInstruction({
+            keyword: "POP",
+            opcode: AssemblyInstruction.Opcode.POP,
+            operands: AssemblyInstruction.registerOperands(types, "n"),
+            microcode: Machine.prototype.popRegister,
+            description: "Removes the word on top of the stack and sets $Rn to it. Faults if the stack is empty"
+        });
+    }
+    
+    static callSubroutine(types) {
+        return new AssemblyInstruction({
+            keyword: "CALL",
+            opcode: AssemblyInstruction.Opcode.CALL,
+            operands: [
+                new OperandSpec({
+                    placeholder: "p",
+                    dataType: types.address
+                })
+            ],
+            microcode: Machine.prototype.callSubroutine,
+            description: "Pushes the index of the next statement onto the stack, then jumps (sets PC) to index p. Faults if the stack is full"
+        });
+    }
+    
+    static returnFromSubroutine(types) {
+        return new AssemblyInstruction({
+            keyword: "RET",
+            opcode: AssemblyInstruction.Opcode.RET,
+            operands: [],
+            microcode: Machine.prototype.returnFromSubroutine,
+            description: "Removes the index on top of the stack and jumps (sets PC) to it. Faults if the stack is empty"
+        });
+    }
 } // end class AssemblyInstruction.
 
 /// A specific invocation of one AssemblyInstruction, with operand values.
@@ -373,47 +2046,267 @@ export class AssemblyStatement {
     text;
     /// Null if no comment, otherwise a single line of text, no comment delimiter included.
     comment;
+    /// Null if no label, otherwise the name of the label defined on the statement's line, no ":" included.
+    label;
     
-    constructor(instruction, operands, text, comment) {
+    constructor(instruction, operands, text, comment, label) {
         this.instruction = instruction;
         this.operands = operands;
         this.text = text || "";
         this.comment = (!!comment && comment.length > 0) ? comment : null;
+        this.label = (!!label && label.length > 0) ? label : null;
+    }
+}
+
+/// Debugging layer around a Machine: breakpoints, watchpoints, and stepping.
+/// Breakpoints pause execution before executing the statement at a PC, optionally only when a condition is true. Watchpoints pause execution after a statement changes the value of a register or a word of memory.
+export class Debugger {
+    /// Enumeration of `type` values of pause reasons. See `run`.
+    static PauseType = {
+        breakpoint: "breakpoint",
+        watchpoint: "watchpoint",
+        /// `stepOver` finished stepping over a subroutine call.
+        step: "step"
+    };
+    
+    machine;
+    /// Array of `{ id, pc, condition, description }`. See `addBreakpoint`.
+    breakpoints;
+    /// Array of `{ id, register, address, description }`. See `watchRegister` and `watchMemory`.
+    watchpoints;
+    #nextID;
+    /// Trace event of the last statement executed by the machine.
+    #lastEvent;
+    
+    constructor(machine) {
+        this.machine = machine;
+        this.breakpoints = [];
+        this.watchpoints = [];
+        this.#nextID = 1;
+        this.#lastEvent = null;
+        this.machine.addTraceListener(event => { this.#lastEvent = event; });
+    }
+    
+    /// Adds a breakpoint before the statement at index `pc`, and returns it.
+    /// `condition`: optional object `{ register, value }`: the breakpoint only triggers if the register holds that value.
+    addBreakpoint(pc, condition) {
+        let description = `breakpoint ${this.#nextID} at ${pc}`
+            + (condition ? ` if R${condition.register} == ${condition.value}` : "");
+        let breakpoint = { id: this.#nextID, pc: pc, condition: condition ?? null, description: description };
+        this.#nextID += 1;
+        this.breakpoints.push(breakpoint);
+        return breakpoint;
+    }
+    
+    /// Adds a watchpoint triggered by changes to the value of a register, and returns it.
+    watchRegister(rIndex) {
+        return this.#addWatchpoint({ register: rIndex, address: null, description: `R${rIndex}` });
+    }
+    
+    /// Adds a watchpoint triggered by changes to any byte of the word at `address`, and returns it.
+    watchMemory(address) {
+        return this.#addWatchpoint({ register: null, address: address, description: `[${address}]` });
+    }
+    
+    #addWatchpoint(watchpoint) {
+        watchpoint.id = this.#nextID;
+        watchpoint.description = `watchpoint ${this.#nextID} on ${watchpoint.description}`;
+        this.#nextID += 1;
+        this.watchpoints.push(watchpoint);
+        return watchpoint;
+    }
+    
+    /// Removes the breakpoint or watchpoint with the given `id`. Returns false if there is none.
+    remove(id) {
+        let count = this.breakpoints.length + this.watchpoints.length;
+        this.breakpoints = this.breakpoints.filter(item => item.id != id);
+        this.watchpoints = this.watchpoints.filter(item => item.id != id);
+        return this.breakpoints.length + this.watchpoints.length < count;
+    }
+    
+    /// Runs the machine, like `Machine.run`, pausing when a breakpoint or watchpoint triggers. `options`: see `Machine.run`.
+    /// A breakpoint at the current PC does not trigger before the first statement executes, so calling `run` again continues past it.
+    /// When paused, the result's `reason` is an object with a `type` (a `Debugger.PauseType` value), a `description`, and either the `breakpoint` or the `watchpoint` and its `oldValue` and `newValue`.
+    run(options) {
+        return this.machine.run(Object.assign({}, options, {
+            shouldPause: () => this.#watchpointReason() ?? this.#breakpointReason()
+        }));
+    }
+    
+    /// Alias for `run`: continues execution after pausing.
+    continue(options) {
+        return this.run(options);
+    }
+    
+    /// Executes the single next statement. Watchpoints can pause, but breakpoints are ignored. Returns a result like `run`; without a watchpoint, the status is `cycleLimit` or `halted`.
+    step() {
+        return this.machine.run({ maxCycles: 1, shouldPause: () => this.#watchpointReason() });
+    }
+    
+    /// Executes the single next statement, unless it is a CALL: then runs until the subroutine returns, pausing with type `step`. Breakpoints and watchpoints within the subroutine pause execution as in `run`.
+    stepOver(options) {
+        let statement = this.machine.nextInstruction;
+        if (statement?.instruction?.keyword != "CALL") {
+            return this.step();
+        }
+        let [returnPC, sp] = [this.machine.pc + 1, this.machine.sp];
+        return this.machine.run(Object.assign({}, options, {
+            shouldPause: () => this.#watchpointReason()
+                ?? ((this.machine.pc == returnPC && this.machine.sp == sp)
+                    ? { type: Debugger.PauseType.step, description: `stepped over CALL at ${returnPC - 1}` }
+                    : this.#breakpointReason())
+        }));
+    }
+    
+    #breakpointReason() {
+        let breakpoint = this.breakpoints.find(breakpoint => breakpoint.pc == this.machine.pc
+            && (!breakpoint.condition || this.machine.registers[breakpoint.condition.register] == breakpoint.condition.value));
+        return breakpoint ? { type: Debugger.PauseType.breakpoint, description: breakpoint.description, breakpoint: breakpoint } : null;
+    }
+    
+    #watchpointReason() {
+        let event = this.#lastEvent;
+        if (!event) { return null; }
+        for (const watchpoint of this.watchpoints) {
+            let write = (watchpoint.register !== null)
+                ? event.registerWrites.find(write => write.index == watchpoint.register && write.oldValue != write.newValue)
+                : event.memoryWrites.find(write => write.oldValue != write.newValue
+                    && write.address < watchpoint.address + this.machine.profile.wordSize
+                    && write.address + write.size > watchpoint.address);
+            if (write) {
+                return {
+                    type: Debugger.PauseType.watchpoint,
+                    description: `${watchpoint.description}: ${write.oldValue} -> ${write.newValue}`,
+                    watchpoint: watchpoint,
+                    oldValue: write.oldValue,
+                    newValue: write.newValue
+                };
+            }
+        }
+        return null;
     }
 }
 
 /// An instance of Program is a single execution of a block of code.
 /// 
-/// Each Program instance creates a new Machine and runs the given code on that machine, leaving the machine in its final state after execution completes.
+/// Each Program instance creates a new Machine, assembles the given code and loads it into that machine, then runs it, leaving the machine in its final state after execution completes.
 export class Program {
-    static tokenize(input) {
-        if (!input) {
-            throw Error.machine.unknownInstruction;
+    /// One line of text describing the state of `machine`, e.g. after a Program finishes running.
+    static machineStateSummary(machine) {
+        return `PC: ${machine.pc} ${machine.stateSummary}`;
+    }
+    
+    /// One line of text describing a trace event (see `Machine.addTraceListener`): the statement executed and its effects, e.g. "PC 3: ADD 0 1 | R0: 2 -> 5 | PC -> 7".
+    static traceEventSummary(event) {
+        let parts = [`PC ${event.pcBefore}: ${event.statement.text.trim()}`];
+        for (const write of event.registerWrites) {
+            parts.push(`R${write.index}: ${write.oldValue} -> ${write.newValue}`);
+        }
+        for (const write of event.memoryWrites) {
+            parts.push(`[${write.address}]: ${write.oldValue} -> ${write.newValue}`);
+        }
+        if (event.spAfter != event.spBefore) {
+            parts.push(`SP: ${event.spBefore} -> ${event.spAfter}`);
+        }
+        let flags = [event.flagsBefore, event.flagsAfter].map(flags => Machine.summarizeFlags(flags));
+        if (flags[0] != flags[1]) {
+            parts.push(`Flags: ${flags[0]} -> ${flags[1]}`);
+        }
+        if (event.pcAfter != event.pcBefore + 1) {
+            parts.push(`PC -> ${event.pcAfter}`);
+        }
+        return parts.join(" | ");
+    }
+    
+    /// Text describing a `Machine.run` result that stopped before halting. Null if the machine halted.
+    static runStatusSummary(result) {
+        switch (result.status) {
+        case Machine.RunStatus.halted: return null;
+        case Machine.RunStatus.cycleLimit: return `STOPPED after ${result.cycles} cycles: cycle limit reached`;
+        case Machine.RunStatus.timeLimit: return `STOPPED after ${result.cycles} cycles: time limit reached`;
+        case Machine.RunStatus.aborted: return `STOPPED after ${result.cycles} cycles: aborted`;
+        case Machine.RunStatus.fault: return `FAULT after ${result.cycles} cycles: ${result.error}`;
+        case Machine.RunStatus.paused: return `PAUSED after ${result.cycles} cycles: ${result.reason.description}`;
         }
-        input = input.toUpperCase();
-        let tokens = input.split(" ");
-        let keyword = tokens.shift();
-        return [keyword, tokens];
     }
     
-    constructor(text) {
-        this.machine = new Machine();
+    /// `runOptions`: optional, passed to `Machine.run`.
+    /// `profile`: optional MachineProfile for the Machine.
+    /// `devices`: optional array of devices to attach to the Machine before running, see `Machine.attachDevice`.
+    /// `loadOnly`: optional, if true the program is assembled and loaded but not run, e.g. to `step` through it.
+    constructor(text, runOptions, profile, devices, loadOnly) {
+        this.machine = new Machine(profile);
+        for (const device of devices ?? []) {
+            this.machine.attachDevice(device);
+        }
+        this.text = text;
         this.input = text.split("\n");
         this.output = [];
-        this.run();
+        this.runOptions = runOptions;
+        /// Result of the last `run` or `step`, or null.
+        this.result = null;
+        /// Result of `assemble`, or null if the program failed to assemble.
+        this.assembly = null;
+        /// MachineErrors from assembling the program, see `AssemblyLanguage.assemble`.
+        this.errors = [];
+        if (this.load() && !loadOnly) {
+            this.run();
+        }
+    }
+    
+    /// Assembles every line of `input`, see `AssemblyLanguage.assemble`.
+    /// Returns null if any line fails to assemble, after appending an error message with its line number to `output` for every error.
+    assemble() {
+        let result = this.machine.assemblyLanguage.assemble(this.input);
+        this.errors = result.errors;
+        result.errors.forEach(error => {
+            this.appendOutput(`ERROR: ${error.locationSummary}: ${error.message}`);
+        });
+        return result.errors.length == 0 ? result : null;
+    }
+    
+    /// Assembles `input` and loads its statements and data into the Machine. Returns false if it failed to assemble.
+    load() {
+        this.assembly = this.assemble();
+        if (!this.assembly) { return false; }
+        this.machine.append(this.assembly.statements);
+        this.reset();
+        return true;
+    }
+    
+    /// Restarts the loaded program: resets PC, registers, flags and memory, and reloads the program's data. Attached devices are not reset.
+    reset() {
+        this.machine.reset({ pc: true, registers: true, memory: true });
+        for (const block of this.assembly?.data ?? []) {
+            this.machine.writeBytes(block.address, block.bytes);
+        }
+        this.result = null;
+    }
+    
+    /// True if the last `run` or `step` halted or faulted, so the program must be `reset` to run again.
+    get isFinished() {
+        return this.result?.status == Machine.RunStatus.halted || this.result?.status == Machine.RunStatus.fault;
     }
     
+    /// The one-based line number in `input` of the statement at `Machine.pc`, or null if halting.
+    get currentLineNumber() {
+        return this.machine.halting ? null : (this.assembly?.lineNumbers[this.machine.pc] ?? null);
+    }
+    
+    /// Runs the program from the current PC with `runOptions`, and appends a description of the result to `output`. Returns the result of `Machine.run`.
     run() {
-        try {
-            this.input.forEach(line => {
-                let [keyword, tokens] = Program.tokenize(line);
-                let instruction = this.machine.assemblyLanguage.getInstruction(keyword);
-                this.machine.execute(instruction, tokens);
-            });
-            this.appendOutput("HALT");
-        } catch (e) {
-            this.appendOutput(`ERROR: ${e}`);
+        this.result = this.machine.run(this.runOptions);
+        this.appendOutput(Program.runStatusSummary(this.result) ?? "HALT");
+        return this.result;
+    }
+    
+    /// Executes up to `count` statements (default 1) from the current PC. Appends a description of the result to `output` only if the program halted or stopped before executing `count` statements. Returns the result of `Machine.run`.
+    step(count) {
+        this.result = this.machine.run({ maxCycles: count ?? 1 });
+        if (this.result.status != Machine.RunStatus.cycleLimit) {
+            this.appendOutput(Program.runStatusSummary(this.result) ?? "HALT");
         }
+        return this.result;
     }
     
     appendOutput(text) {
@@ -422,20 +2315,58 @@ export class Program {
 }
 
 /// Maintains a single Machine instance, upon which individual instructions can be ran interactively. Exposes the current state of the machine for inspection and manipulation after each instruction.
+/// 
+/// Each line of input is assembled and appended to the machine's statements, then the machine runs until halting. PC and previously entered statements carry across inputs, so a BZ can jump back to earlier lines.
+/// If a run stops without halting (a fault or infinite loop), PC is moved past the last statement so that the next input starts executing from itself.
+/// Labels defined in earlier inputs can be referenced by later inputs.
+/// 
+/// Input starting with a `REPL.Command` keyword controls the REPL's Debugger instead. If a run pauses at a breakpoint or watchpoint, PC stays at the paused statement: CONTINUE or STEP resume from there, and so does the run after entering another instruction.
 export class REPL {
-    constructor() {
-        this.machine = new Machine();
+    /// Enumeration of commands: keywords handled by the REPL itself rather than assembled as instructions.
+    static Command = {
+        help: "HELP",
+        break: "BREAK",
+        watch: "WATCH",
+        delete: "DELETE",
+        continue: "CONTINUE",
+        step: "STEP",
+        undo: "UNDO"
+    };
+    
+    #syntax;
+    /// Stack of inputs that can be undone, each `{input, cycles, instructionCount, pc, symbols}` with the state before the input and the number of cycles it executed.
+    #undoStack;
+    
+    /// `profile`: optional MachineProfile for the Machine.
+    constructor(profile) {
+        this.machine = new Machine(profile);
+        this.machine.history = [];
+        this.debugger = new Debugger(this.machine);
+        this.#undoStack = [];
+        /// Map of label names defined so far to statement indices.
+        this.symbols = new Map();
+        this.#syntax = new AssemblySyntax();
     }
     
     get helpText() {
         let lines = [
-            `I am running on a ${Machine.WORD_SIZE * 8}-bit virtual machine. Instructions:`,
+            `I am running on a ${this.machine.profile.wordBits}-bit virtual machine. Instructions:`,
         ];
         for (const instruction of this.machine.assemblyLanguage.instructionSpecs) {
             instruction.helpText.forEach((line, index) => {
                 lines.push((index == 0 ? "# " : "") + line);
             });
         }
+        lines.push(
+            "Commands:",
+            "# HELP: Shows this text",
+            "# BREAK p [n v]: Pauses before executing the statement at index p, optionally only if $Rn == v. BREAK alone lists breakpoints and watchpoints",
+            "# WATCH Rn, WATCH a: Pauses after $Rn, or the word in memory at address a, changes. WATCH alone lists breakpoints and watchpoints",
+            "# DELETE id: Removes a breakpoint or watchpoint",
+            "# CONTINUE: Resumes running after pausing",
+            "# STEP: Executes the single next statement",
+            "# UNDO: Reverts the last instruction entered, or the last STEP or CONTINUE"
+        );
         
         return lines.join("\n");
     }
@@ -446,16 +2377,145 @@ export class REPL {
     
     run(input) {
         try {
-            let [keyword, tokens] = Program.tokenize(input);
-            if (keyword == "HELP") {
-                return this.helpText;
+            let line = this.#syntax.tokenizeLine(input);
+            if (Object.values(REPL.Command).includes(line.keyword)) {
+                return this.runCommand(line);
+            }
+            
+            let symbols = new Map(this.symbols);
+            let label = line.label;
+            if (label && symbols.has(label)) {
+                throw new MachineError(MachineError.Code.duplicateLabel, { token: label });
+            } else if (label) {
+                symbols.set(label, this.machine.instructionCount);
             }
             
-            let instruction = this.machine.assemblyLanguage.getInstruction(keyword);
-            this.machine.execute(instruction, tokens);
-            return this.machine.stateSummary;
+            let statement = this.machine.assemblyLanguage.assembleStatement(input, symbols);
+            if (!statement) {
+                throw new MachineError(MachineError.Code.unknownInstruction);
+            }
+            let checkpoint = this.#checkpoint(input);
+            this.symbols = symbols;
+            this.machine.append([statement]);
+            return this.#resultSummary(this.#runUndoable(checkpoint, this.debugger.run()));
         } catch (e) {
             return this.errorMessage(e);
         }
     }
+    
+    /// Executes a `REPL.Command`, given input tokenized by `AssemblySyntax.tokenizeLine`, and returns the text to display. Throws a MachineError for invalid operands.
+    runCommand(line) {
+        switch (line.keyword) {
+        case REPL.Command.help:
+            return this.helpText;
+        case REPL.Command.break: {
+            REPL.#checkCommandFormat(line, [0, 1, 3], "BREAK p [n v]");
+            if (line.operands.length == 0) { return this.#debugPointList(); }
+            let pc = this.machine.assemblyLanguage.parseOperand(
+                new OperandSpec({ placeholder: "p", dataType: this.machine.dataTypes.address }),
+                line.operands[0],
+                this.symbols
+            );
+            let condition = (line.operands.length == 3) ? {
+                register: this.machine.dataTypes.register.parse(line.operands[1]),
+                value: this.machine.dataTypes.word.parse(line.operands[2])
+            } : null;
+            return `Added ${this.debugger.addBreakpoint(pc, condition).description}`;
+        }
+        case REPL.Command.watch: {
+            REPL.#checkCommandFormat(line, [0, 1], "WATCH Rn, WATCH a");
+            if (line.operands.length == 0) { return this.#debugPointList(); }
+            let watchpoint = /^\$?R[0-9]+$/i.test(line.operands[0])
+                ? this.debugger.watchRegister(this.machine.dataTypes.register.parse(line.operands[0]))
+                : this.debugger.watchMemory(this.machine.assemblyLanguage.parseOperand(
+                    new OperandSpec({ placeholder: "a", dataType: this.machine.dataTypes.address }),
+                    line.operands[0],
+                    this.symbols
+                ));
+            return `Added ${watchpoint.description}`;
+        }
+        case REPL.Command.delete:
+            REPL.#checkCommandFormat(line, [1], "DELETE id");
+            if (!this.debugger.remove(DataType.parseLiteral(line.operands[0]))) {
+                throw new MachineError(MachineError.Code.inputOutsideRange, { token: line.operands[0], detail: "no breakpoint or watchpoint with this id" });
+            }
+            return `Deleted ${line.operands[0]}`;
+        case REPL.Command.continue:
+            REPL.#checkCommandFormat(line, [0], "CONTINUE");
+            return this.#resultSummary(this.#runUndoable(this.#checkpoint(line.keyword), this.debugger.continue()));
+        case REPL.Command.step:
+            REPL.#checkCommandFormat(line, [0], "STEP");
+            return this.#resultSummary(this.#runUndoable(this.#checkpoint(line.keyword), this.debugger.step()), true);
+        case REPL.Command.undo:
+            REPL.#checkCommandFormat(line, [0], "UNDO");
+            return this.#undo();
+        }
+    }
+    
+    #checkpoint(input) {
+        return {
+            input: input,
+            cycles: 0,
+            instructionCount: this.machine.instructionCount,
+            pc: this.machine.pc,
+            symbols: this.symbols
+        };
+    }
+    
+    /// Records `checkpoint` as undoable once `result` has been produced, and returns `result`. Not recorded if the input changed nothing, e.g. STEP on a halted machine.
+    #runUndoable(checkpoint, result) {
+        checkpoint.cycles = result.cycles;
+        if (result.cycles > 0 || this.machine.instructionCount != checkpoint.instructionCount) {
+            this.#undoStack.push(checkpoint);
+        }
+        return result;
+    }
+    
+    /// Discards all undoable inputs, and the machine's history. Call after changing the machine's state other than through `run`, which UNDO could not revert consistently.
+    discardUndo() {
+        this.#undoStack = [];
+        this.machine.history = [];
+    }
+    
+    /// Rewinds the machine to its state before the last undoable input, removing any statement and label that input added.
+    #undo() {
+        let checkpoint = this.#undoStack.pop();
+        if (!checkpoint) {
+            return "Nothing to undo";
+        }
+        if (this.machine.history.length < checkpoint.cycles) {
+            // The oldest cycles were discarded from the history, so neither this nor any earlier input can be reverted.
+            this.#undoStack = [];
+            throw new MachineError(MachineError.Code.inputOutsideRange, { token: checkpoint.input, detail: "too many cycles executed to undo" });
+        }
+        this.machine.rewind(checkpoint.cycles);
+        this.machine.truncateStatements(checkpoint.instructionCount);
+        this.machine.setPC(checkpoint.pc);
+        this.symbols = checkpoint.symbols;
+        return `Undid ${checkpoint.input}\n${Program.machineStateSummary(this.machine)}`;
+    }
+    
+    static #checkCommandFormat(line, operandCounts, usage) {
+        if (!operandCounts.includes(line.operands.length)) {
+            throw new MachineError(MachineError.Code.invalidInstructionFormat, { token: line.keyword, detail: `expected: ${usage}` });
+        }
+    }
+    
+    #debugPointList() {
+        let items = this.debugger.breakpoints.concat(this.debugger.watchpoints)
+            .sort((a, b) => a.id - b.id)
+            .map(item => item.description);
+        return items.length > 0 ? items.join("\n") : "No breakpoints or watchpoints";
+    }
+    
+    /// Text describing the result of a run, followed by the machine state. `isStep`: true for the result of `Debugger.step`, whose cycle limit is expected and not reported.
+    /// If the machine stopped without halting or pausing, moves PC past the last statement so that the next input starts executing from itself.
+    #resultSummary(result, isStep) {
+        let status = (isStep && result.status == Machine.RunStatus.cycleLimit) ? null : Program.runStatusSummary(result);
+        if (status && result.status != Machine.RunStatus.paused) {
+            this.machine.setPC(this.machine.instructionCount);
+        }
+        let summary = Program.machineStateSummary(this.machine);
+        return status ? `${status}\n${summary}` : summary;
+    }
 }
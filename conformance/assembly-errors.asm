@@ -0,0 +1,8 @@
+# Assembly errors are reported with their line numbers, and nothing runs.
+#! error: 6 undefinedLabel
+#! error: 7 duplicateLabel
+#! error: 8 unknownInstruction
+loop:   SET 0 1
+        BZ nowhere 0
+loop:   SET 0 2
+        BOGUS 1
@@ -0,0 +1,8 @@
+# Division by zero faults, leaving PC at the faulting statement.
+#! fault: divideByZero
+#! pc: 2
+#! registers: 7 0
+#! cycles: 2
+        SET 0 7
+        DIV 0 1
+        SET 0 9
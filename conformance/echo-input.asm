@@ -0,0 +1,14 @@
+# Echoes console input to console output until no input is left.
+#! input: "abc"
+#! console: "abc"
+#! registers: 99 0
+        .equ OUTPUT 0xfe00
+        .equ INPUT 0xfe02
+        .equ STATUS 0xfe04
+loop:   LOAD 1 STATUS
+        BZ done 1
+        LOAD 0 INPUT
+        STORE 0 OUTPUT
+        SET 1 0
+        BZ loop 1
+done:
@@ -0,0 +1,12 @@
+# An 8-bit machine with 4 registers and 256 bytes of memory: arithmetic wraps at 256.
+#! profile: registerCount=4 wordBits=8 memorySize=256
+#! registers: 4 10 255 1
+#! flags: -C--
+#! memory 0x80: 0xff 4
+        SET 0 250
+        SET 1 10
+        ADD 0 1
+        SET 2 -1
+        SET 3 1
+        STORE 2 0x80
+        STORE 0 0x81
@@ -0,0 +1,12 @@
+# Writes characters to the memory-mapped console device.
+#! console: "Hi!\n"
+#! registers: 10 0
+        .equ CONSOLE 0xfe00
+        SET 0 'H'
+        STORE 0 CONSOLE
+        SET 0 'i'
+        STORE 0 CONSOLE
+        SET 0 '!'
+        STORE 0 CONSOLE
+        SET 0 '\n'
+        STORE 0 CONSOLE
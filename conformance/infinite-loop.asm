@@ -0,0 +1,6 @@
+# A loop that never halts stops at the cycle limit.
+#! maxCycles: 100
+#! status: cycleLimit
+#! cycles: 100
+#! pc: 1
+loop:   BZ loop 0
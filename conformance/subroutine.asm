@@ -0,0 +1,17 @@
+# Calls a subroutine twice. The subroutine doubles R0, saving and restoring R1 on the stack.
+#! registers: 12 0
+#! sp: 65536
+#! memory 0xfffc: 5 0 5 0
+        SET 0 3
+        SET 1 5
+        CALL double
+        CALL double
+        SET 1 0
+        BZ end 1
+double: PUSH 1
+        SET 1 0
+        ADD 1 0
+        ADD 0 1
+        POP 1
+        RET
+end:
@@ -0,0 +1,20 @@
+# Sum of 1...10, with the running total stored in memory.
+#! registers: 55 0
+#! pc: 15
+#! flags: Z---
+#! memory 0x100: 55 0
+#! cycles: 85
+        .equ N 10
+        .equ SUM 0x100
+        SET 1 N
+        SET 0 0
+        STORE 0 SUM
+loop:   LOAD 0 SUM
+        ADD 0 1
+        STORE 0 SUM
+        SET 0 1
+        SUB 1 0
+        BFZ done
+        SET 0 0
+        BZ loop 0
+done:   LOAD 0 SUM
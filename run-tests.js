@@ -0,0 +1,29 @@
+"use-strict";
+
+/// Runs the unit tests in test.js under Node, without a browser.
+/// Usage: node run-tests.js [--tap] [--filter text]
+/// --tap: writes Test Anything Protocol output instead of plain console output.
+/// --filter text, or --filter=text: runs only tests whose names contain the text, ignoring case.
+/// Exits with a non-zero status if any test fails.
+
+import { TestSession, ConsoleReporter, TAPReporter } from './test.js';
+
+function option(name) {
+    let args = process.argv.slice(2);
+    let index = args.indexOf(name);
+    if (index >= 0) {
+        return args[index + 1] ?? null;
+    }
+    let arg = args.find(arg => arg.startsWith(`${name}=`));
+    return arg ? arg.slice(name.length + 1) : null;
+}
+
+let reporter = process.argv.includes("--tap") ? new TAPReporter() : new ConsoleReporter();
+TestSession.current.filter = option("--filter");
+try {
+    await TestSession.current.run(reporter);
+    process.exitCode = TestSession.current.hasFailures ? 1 : 0;
+} catch (e) {
+    console.error(e);
+    process.exitCode = 1;
+}
@@ -2,91 +2,213 @@
 
 import * as Assembly from './assembly.js';
 
-const [Machine, DataType, AssemblyLanguage, AssemblySyntax, OperandSpec, AssemblyInstruction, AssemblyStatement] = [Assembly.Machine, Assembly.DataType, Assembly.AssemblyLanguage, Assembly.AssemblySyntax, Assembly.OperandSpec, Assembly.AssemblyInstruction, Assembly.AssemblyStatement];
-
-function appendOutputItem(msg, className) {
-    if (!TestSession.outputElement) { return; }
-    var elem = document.createElement("li");
-    elem.innerText = msg;
-    elem.classList.toggle(className, true);
-    TestSession.outputElement.append(elem);
-}
+const [MachineError, Machine, ConsoleDevice, MachineProfile, DataType, AssemblyLanguage, AssemblySyntax, OperandSpec, AssemblyInstruction, AssemblyStatement, Debugger, Program, REPL] = [Assembly.MachineError, Assembly.Machine, Assembly.ConsoleDevice, Assembly.MachineProfile, Assembly.DataType, Assembly.AssemblyLanguage, Assembly.AssemblySyntax, Assembly.OperandSpec, Assembly.AssemblyInstruction, Assembly.AssemblyStatement, Assembly.Debugger, Assembly.Program, Assembly.REPL];
 
 function logTestMsg(msg, className) {
-    console.log(msg);
-    appendOutputItem(msg, className ? className : "log");
+    TestSession.reporter.message(msg, className ? className : "log");
 }
 
 function debugDump(obj) {
-    appendOutputItem("(debugDump)", "warn");
+    TestSession.reporter.message("(debugDump)", "warn");
     console.log(obj);
 }
 
 function logTestHeader(msg) {
-    console.log(`~~~~ ${msg} ~~~~`);
-    appendOutputItem(msg, "header");
+    TestSession.reporter.header(msg);
 }
 
 function logTestFail(msg) {
-    console.warn(msg);
-    appendOutputItem(msg, "warn");
+    TestSession.reporter.failure(msg);
+}
+
+function formatDuration(milliseconds) {
+    return `${milliseconds.toFixed(1)} ms`;
+}
+
+function fequal(a, b, tol) {
+    return Math.abs(a - b) <= tol;
+}
+
+/// Writes test output to the console. Subclasses write other formats; each method receives one kind of output.
+export class ConsoleReporter {
+    sessionStarted(session) { }
+    header(msg) {
+        console.log(`~~~~ ${msg} ~~~~`);
+    }
+    /// `className`: "log", "success", "warn" or "trace".
+    message(msg, className) {
+        console.log(msg);
+    }
+    failure(msg) {
+        console.warn(msg);
+    }
+    /// Called once for each UnitTest that checked any expectations, after it finishes.
+    testFinished(test) { }
+    sessionFinished(session) { }
+}
+
+/// Writes test output to the console and to list items in an HTML element, as in test.html.
+export class HTMLReporter extends ConsoleReporter {
+    constructor(outputElement) {
+        super();
+        this.outputElement = outputElement;
+    }
+    header(msg) {
+        super.header(msg);
+        this.appendOutputItem(msg, "header");
+    }
+    message(msg, className) {
+        super.message(msg, className);
+        this.appendOutputItem(msg, className);
+    }
+    failure(msg) {
+        super.failure(msg);
+        this.appendOutputItem(msg, "warn");
+        console.trace();
+    }
+    appendOutputItem(msg, className) {
+        if (!this.outputElement) { return; }
+        var elem = document.createElement("li");
+        elem.innerText = msg;
+        elem.classList.toggle(className, true);
+        this.outputElement.append(elem);
+    }
+}
+
+/// Writes test output to the console in Test Anything Protocol (TAP) format: one "ok"/"not ok" line per test, with all other output as comments.
+export class TAPReporter extends ConsoleReporter {
+    constructor() {
+        super();
+        this.testCount = 0;
+    }
+    sessionStarted(session) {
+        console.log("TAP version 13");
+    }
+    header(msg) {
+        this.comment(msg);
+    }
+    message(msg, className) {
+        this.comment(msg);
+    }
+    failure(msg) {
+        this.comment(msg);
+    }
+    testFinished(test) {
+        this.testCount += 1;
+        console.log(`${test.isOK ? "ok" : "not ok"} ${this.testCount} - ${test.name} # time=${test.duration.toFixed(1)}ms`);
+    }
+    sessionFinished(session) {
+        console.log(`1..${this.testCount}`);
+    }
+    comment(msg) {
+        console.log(msg.split("\n").map(line => `# ${line}`).join("\n"));
+    }
 }
 
 export class TestSession {
+    #pending; // Promise that resolves when all scheduled tests have finished
+    
     constructor(testFuncs) {
         this.testFuncs = Array.isArray(testFuncs) ? testFuncs : [];
         this.testsPassed = 0;
         this.testsFailed = 0;
+        this.testsSkipped = 0;
+        /// Only tests whose names contain this text, ignoring case, are run. Null to run all tests.
+        this.filter = null;
+        /// Total time taken by `run`, in milliseconds.
+        this.duration = null;
+        this.#pending = Promise.resolve();
     }
     append(testFuncs) {
         this.testFuncs = this.testFuncs.concat(testFuncs);
         return this;
     }
-    async run(outputElement) {
-        TestSession.outputElement = outputElement;
-        // let timer = new PerfTimer("TestSession.run").start();
+    /// `reporter`: optional, a ConsoleReporter or subclass. Defaults to ConsoleReporter.
+    async run(reporter) {
+        TestSession.reporter = reporter ?? new ConsoleReporter();
+        TestSession.reporter.sessionStarted(this);
+        let start = performance.now();
         for (let i = 0; i < this.testFuncs.length; i += 1) {
             await this.testFuncs[i]();
+            await this.#pending;
         }
-        this.summarize(); //(timer);
+        this.duration = performance.now() - start;
+        this.summarize();
+        TestSession.reporter.sessionFinished(this);
+    }
+    /// Runs `testFunc`, built by `UnitTest.build`, once all previously scheduled tests have finished, so that tests run one at a time even if their bodies are async. Returns a Promise that resolves when it finishes.
+    schedule(testFunc) {
+        this.#pending = this.#pending.then(() => testFunc());
+        return this.#pending;
+    }
+    /// True if the test named `name` matches `filter`.
+    includes(name) {
+        return !this.filter || name.toLowerCase().includes(this.filter.toLowerCase());
+    }
+    /// True if any test failed, after `run`.
+    get hasFailures() {
+        return this.testsFailed > 0;
     }
-    summarize(timer) {
+    summarize() {
         logTestHeader("Test Summary " + new Date().toLocaleString());
         logTestMsg(`Tests run: ${this.testsPassed + this.testsFailed}`);
+        if (this.testsSkipped > 0) {
+            logTestMsg(`Tests skipped by filter "${this.filter}": ${this.testsSkipped}`);
+        }
         if (this.testsFailed > 0) {
             logTestFail(`Tests failed: ${this.testsFailed}`);
         } else {
             logTestMsg("All tests passed.", "success");
         }
-        // logTestMsg(timer.end().summary, "trace");
+        logTestMsg(`Duration: ${formatDuration(this.duration)}`, "trace");
     }
 }
 TestSession.current = null;
+TestSession.reporter = new ConsoleReporter();
 
 class UnitTest {
-    constructor(name, body) {
+    /// `body`: function, or async function, called with the UnitTest as `this`.
+    /// `fixture`: optional object with `setUp` and `tearDown` functions, or async functions, called with the UnitTest as `this` before and after `body`. `tearDown` is called even if `setUp` or `body` throws. Use `setUp` to create fresh state for each test, e.g. in properties of the UnitTest.
+    constructor(name, body, fixture) {
         this.name = name;
         this.body = body;
+        this.fixture = fixture ?? null;
         this.expectations = 0;
         this.failures = 0;
+        /// Time taken by `setUp`, `body` and `tearDown`, in milliseconds.
+        this.duration = null;
     }
 
     get isOK() { return this.failures == 0; }
     get hadExpectations() { return this.expectations > 0; }
 
     build() {
-        return function(config, expect) {
+        return async function(config, expect) {
+            if (!TestSession.current.includes(this.name)) {
+                TestSession.current.testsSkipped += 1;
+                return;
+            }
             logTestHeader(this.name);
             
+            let start = performance.now();
             try {
-                this.body(config, expect);
+                await this.fixture?.setUp?.call(this);
+                await this.body(config, expect);
             } catch(e) {
                 this.logFailure(`Exception thrown: ${e}\n${e.stack}`);
             }
-            if (!this.hadExpectations) { return; }
+            try {
+                await this.fixture?.tearDown?.call(this);
+            } catch(e) {
+                this.logFailure(`Exception thrown by tearDown: ${e}\n${e.stack}`);
+            }
+            this.duration = performance.now() - start;
+            // A test that throws before checking any expectations still fails.
+            if (!this.hadExpectations && this.isOK) { return; }
+            TestSession.reporter.testFinished(this);
             if (this.isOK) {
                 TestSession.current.testsPassed += 1;
-                logTestMsg(`Passed! Expectations: ` + this.expectations);
+                logTestMsg(`Passed! Expectations: ${this.expectations} (${formatDuration(this.duration)})`);
                 return;
             }
             TestSession.current.testsFailed += 1;
@@ -100,8 +222,9 @@ class UnitTest {
         }.bind(this);
     }
 
+    /// Schedules the test to run in `TestSession.current`. Returns a Promise that resolves when it finishes.
     buildAndRun() {
-        return this.build()();
+        return TestSession.current.schedule(this.build());
     }
 
     usage(msg) {
@@ -114,7 +237,6 @@ class UnitTest {
     logFailure(msg) {
         this.failures += 1;
         logTestFail(`${this.name}: ${msg}`);
-        console.trace();
     }
     assertDefined(value, msg) {
         this.expectations += 1;
@@ -152,13 +274,14 @@ class UnitTest {
         return true;
     }
     assertEqualTol(a, b, tol, msg) {
+        this.expectations += 1;
         if (typeof(a?.isEqual) == 'function') {
             if (!a.isEqual(b, tol)) {
                 this.logFailure(this._assertMessage(`assertEqualTol failure: ${this.describe(a)} neq ${this.describe(b)}`, msg));
                 return false;
             }
         } else {
-            if (!Math.fequal(a, b, tol)) {
+            if (!fequal(a, b, tol)) {
                 this.logFailure(this._assertMessage(`assertEqualTol failure: ${this.describe(a)} neq ${this.describe(b)}`, msg));
                 return false;
             }
@@ -201,13 +324,17 @@ class UnitTest {
             return undefined;
         }
     }
-    assertThrows(block, msg) {
+    /// Returns the thrown error. `code`: optional, the error's `code` must also equal it, e.g. a `MachineError.Code`.
+    assertThrows(block, msg, code) {
         this.expectations += 1;
         try {
             block();
             this.logFailure(this._assertMessage(`assertThrows failure`, msg));
             return undefined;
         } catch(e) {
+            if (code !== undefined && e?.code !== code) {
+                this.logFailure(this._assertMessage(`assertThrows failure: error code ${e?.code} != ${code}`, msg));
+            }
             return e;
         }
     }
@@ -218,6 +345,45 @@ class UnitTest {
     }
 }
 
+class UnitTestTests {
+    static fixtureEvents = [];
+    
+    static fixtureTests() {
+        const fixture = {
+            setUp: async function() {
+                UnitTestTests.fixtureEvents.push(`setUp ${this.name}`);
+                this.machine = new Machine();
+            },
+            tearDown: function() {
+                UnitTestTests.fixtureEvents.push(`tearDown ${this.name}`);
+            }
+        };
+        new UnitTest("UnitTest: fixture and async body", async function() {
+            this.assertEqual(this.machine?.pc, 0, "setUp: fresh state");
+            this.machine.setPC(3);
+            let value = await new Promise(resolve => setTimeout(() => resolve(7), 1));
+            this.assertEqual(value, 7, "async body awaited");
+        }, fixture).buildAndRun();
+        
+        new UnitTest("UnitTest: fixture isolation", function() {
+            this.assertEqual(this.machine.pc, 0, "setUp: state not shared with previous test");
+            let events = UnitTestTests.fixtureEvents;
+            this.assertEqual(events[events.length - 1], "setUp UnitTest: fixture isolation", "setUp called");
+            this.assertTrue(events.every((event, index) => event.startsWith(index % 2 == 0 ? "setUp" : "tearDown")), "Tests run one at a time, tearDown after each");
+        }, fixture).buildAndRun();
+        
+        new UnitTest("UnitTest: assertions", function() {
+            this.assertEqualTol(0.1 + 0.2, 0.3, 1e-9, "assertEqualTol: within tolerance");
+            this.assertEqual(this.expectations, 1, "assertEqualTol: counts expectations");
+            let error = this.assertThrows(() => new Machine().popRegister(0), "assertThrows: with code", MachineError.Code.stackUnderflow);
+            this.assertEqual(error?.code, MachineError.Code.stackUnderflow, "assertThrows: returns error");
+            this.assertEqual(this.failures, 0, "No failures");
+        }).buildAndRun();
+    }
+    
+    static all = [UnitTestTests.fixtureTests];
+}
+
 class BaseTypesTests {
     static datatypeTests() {
         new UnitTest("DataType.parse", function() {
@@ -235,6 +401,11 @@ class BaseTypesTests {
                 return DataType.word.parse("abc");
             }, "word: parse abc fails");
             
+            this.assertEqual(DataType.word.parse(`${Machine.WORD_RANGE - 1}`), Machine.WORD_RANGE - 1, "word: parse max");
+            this.assertThrows(() => {
+                return DataType.word.parse(`${Machine.WORD_RANGE}`);
+            }, "word: parse WORD_RANGE fails");
+            
             this.assertEqual(DataType.register.max, Machine.NUM_REGISTERS - 1, "register: Max register count = N - 1");
             
             value = this.assertNoThrow(() => {
@@ -257,14 +428,105 @@ class BaseTypesTests {
         }).buildAndRun();
     }
     
-    static all = [BaseTypesTests.datatypeTests];
+    static literalTests() {
+        new UnitTest("DataType.parse: literal formats", function() {
+            const parse = (dataType, text) => this.assertNoThrow(() => dataType.parse(text), `${dataType.name}: parse ${text}`);
+            const reject = (dataType, text, code) => {
+                let error = this.assertThrows(() => dataType.parse(text), `${dataType.name}: reject ${text}`);
+                this.assertEqual(error?.code, code, `${dataType.name}: reject ${text}: code`);
+            };
+            
+            this.assertEqual(parse(DataType.word, "0x10"), 16, "hex");
+            this.assertEqual(parse(DataType.word, "0XfF"), 255, "hex: case-insensitive");
+            this.assertEqual(parse(DataType.word, "0b101"), 5, "binary");
+            this.assertEqual(parse(DataType.word, "007"), 7, "decimal: leading zeros");
+            this.assertEqual(parse(DataType.word, "'A'"), 65, "character");
+            this.assertEqual(parse(DataType.word, "'\\n'"), 10, "character: escape");
+            this.assertEqual(parse(DataType.word, "'\\''"), 39, "character: escaped quote");
+            this.assertEqual(parse(DataType.word, "-1"), Machine.WORD_RANGE - 1, "negative: two's complement");
+            this.assertEqual(parse(DataType.word, "-0x8000"), Machine.WORD_RANGE / 2, "negative hex: two's complement min");
+            this.assertEqual(parse(DataType.word, 12), 12, "number value");
+            
+            reject(DataType.word, "12abc", MachineError.Code.invalidInputType);
+            reject(DataType.word, "0.5", MachineError.Code.invalidInputType);
+            reject(DataType.word, "1e3", MachineError.Code.invalidInputType);
+            reject(DataType.word, "0x", MachineError.Code.invalidInputType);
+            reject(DataType.word, "0b102", MachineError.Code.invalidInputType);
+            reject(DataType.word, "+5", MachineError.Code.invalidInputType);
+            reject(DataType.word, "''", MachineError.Code.invalidInputType);
+            reject(DataType.word, "'AB'", MachineError.Code.invalidInputType);
+            reject(DataType.word, "'\\q'", MachineError.Code.invalidInputType);
+            reject(DataType.word, "", MachineError.Code.invalidInputType);
+            reject(DataType.word, "-0x8001", MachineError.Code.inputOutsideRange);
+            reject(DataType.word, "0x10000", MachineError.Code.inputOutsideRange);
+            reject(DataType.address, "-1", MachineError.Code.inputOutsideRange);
+            
+            this.assertEqual(parse(DataType.register, "R1"), 1, "register: R1");
+            this.assertEqual(parse(DataType.register, "$r0"), 0, "register: $r0");
+            this.assertEqual(parse(DataType.register, "0b1"), 1, "register: literal");
+            reject(DataType.register, "R", MachineError.Code.invalidInputType);
+            reject(DataType.register, "$1", MachineError.Code.invalidInputType);
+            reject(DataType.register, "R-1", MachineError.Code.invalidInputType);
+            reject(DataType.register, "-1", MachineError.Code.inputOutsideRange);
+            reject(DataType.register, "R2", MachineError.Code.inputOutsideRange);
+            reject(DataType.word, "R1", MachineError.Code.invalidInputType);
+        }).buildAndRun();
+    }
+    
+    static profileTests() {
+        new UnitTest("MachineProfile", function() {
+            let profile = MachineProfile.standard;
+            this.assertEqual(profile.registerCount, Machine.NUM_REGISTERS, "standard: registerCount");
+            this.assertEqual(profile.wordSize, Machine.WORD_SIZE, "standard: wordSize");
+            this.assertEqual(profile.wordRange, Machine.WORD_RANGE, "standard: wordRange");
+            this.assertEqual(profile.memorySize, Machine.WORD_RANGE, "standard: memorySize");
+            this.assertEqual(profile.stackSize, Machine.STACK_SIZE, "standard: stackSize");
+            this.assertEqual(profile.instructions, null, "standard: all instructions");
+            
+            profile = new MachineProfile({ wordBits: 8, memorySize: 0x100 });
+            this.assertEqual(profile.registerCount, Machine.NUM_REGISTERS, "Default registerCount");
+            this.assertEqual(profile.wordRange, 0x100, "8-bit wordRange");
+            this.assertEqual(profile.stackSize, 0x40, "Default stackSize: limited by memorySize");
+            this.assertEqual(new MachineProfile({ wordBits: 32 }).wordRange, 2 ** 32, "32-bit wordRange");
+            
+            const reject = (config, detail) => {
+                let error = this.assertThrows(() => new MachineProfile(config), `Invalid ${detail}`);
+                this.assertEqual(error?.code, MachineError.Code.invalidProfile, `Invalid ${detail}: code`);
+                this.assertEqual(error?.detail, detail, `Invalid ${detail}: detail`);
+            };
+            reject({ registerCount: 0 }, "registerCount");
+            reject({ registerCount: MachineProfile.MAX_REGISTERS + 1 }, "registerCount");
+            reject({ wordBits: 12 }, "wordBits");
+            reject({ memorySize: 0x10001 }, "memorySize");
+            reject({ wordBits: 32, memorySize: 2 }, "memorySize");
+            reject({ memorySize: 0x100, stackSize: 0x200 }, "stackSize");
+            reject({ instructions: "SET" }, "instructions");
+        }).buildAndRun();
+        
+        new UnitTest("DataType.forProfile", function() {
+            let types = DataType.forProfile(new MachineProfile({ registerCount: 4, wordBits: 8, memorySize: 0x400 }));
+            this.assertEqual(types.register.max, 3, "register: max");
+            this.assertEqual(types.register.parse("R3"), 3, "register: parse");
+            this.assertEqual(types.word.max, 0xff, "word: max");
+            this.assertEqual(types.word.width, 1, "word: width");
+            this.assertEqual(types.word.parse("-1"), 0xff, "word: two's complement");
+            this.assertThrows(() => types.word.parse("256"), "word: out of range");
+            this.assertEqual(types.address.max, 0x3ff, "address: max");
+            this.assertEqual(types.address.width, MachineProfile.ADDRESS_SIZE, "address: width");
+            
+            this.assertEqual(DataType.word, DataType.standard.word, "Static DataTypes: standard profile");
+            this.assertEqual(DataType.word.max, Machine.WORD_RANGE - 1, "Static DataTypes: standard word");
+        }).buildAndRun();
+    }
+    
+    static all = [BaseTypesTests.datatypeTests, this.literalTests, this.profileTests];
 }
 
 class AssemblyLanguageTests {
     static getInstructionTests() {
         new UnitTest("AssemblyLanguage.getInstruction", function() {
-            let addInstruction = AssemblyInstruction.addRegisters;
-            let setInstruction = AssemblyInstruction.setRegister(Machine.NUM_REGISTERS);
+            let addInstruction = AssemblyInstruction.addRegisters(DataType.standard);
+            let setInstruction = AssemblyInstruction.setRegister(DataType.standard);
             let language = new AssemblyLanguage([addInstruction, setInstruction]);
             
             this.assertThrows(() => language.getInstruction(undefined), "Throws: undefined keyword");
@@ -299,11 +561,24 @@ class AssemblyLanguageTests {
             this.assertElementsEqual(result.operands, ["1", "123"], "2 operands");
             
             this.assertElementsEqual(syntax.tokenizeLine("set 3 a 2 4").operands, ["3", "a", "2", "4"], "operand validation is responsibility of the caller");
+            
+            this.assertEqual(result.label, null, "no label");
+            result = syntax.tokenizeLine("  Loop_1: add 0 1 # label");
+            this.assertElementsEqual(split(result), ["ADD", 2, "label"], "label with instruction");
+            this.assertEqual(result.label, "Loop_1", "label name: ':' stripped, case preserved");
+            result = syntax.tokenizeLine("end:");
+            this.assertElementsEqual(split(result), [null, 0, null], "label only");
+            this.assertEqual(result.label, "end", "label only: name");
+            
+            this.assertTrue(AssemblySyntax.isIdentifier("_loop2"), "isIdentifier: valid");
+            this.assertFalse(AssemblySyntax.isIdentifier("2loop"), "isIdentifier: leading digit");
+            this.assertFalse(AssemblySyntax.isIdentifier("lo-op"), "isIdentifier: punctuation");
+            this.assertFalse(AssemblySyntax.isIdentifier(""), "isIdentifier: empty");
         }).buildAndRun();
         
         new UnitTest("AssemblyLanguage.assembleStatement", function() {
-            let addInstruction = AssemblyInstruction.addRegisters;
-            let setInstruction = AssemblyInstruction.setRegister(Machine.NUM_REGISTERS);
+            let addInstruction = AssemblyInstruction.addRegisters(DataType.standard);
+            let setInstruction = AssemblyInstruction.setRegister(DataType.standard);
             // Varying the order of instructions in AssemblyLanguageTests to ensure 
             // the order doesn't affect behavior.
             let language = new AssemblyLanguage([setInstruction, addInstruction]);
@@ -317,12 +592,13 @@ class AssemblyLanguageTests {
             
             this.assertThrows(() => language.assembleStatement("BOGUS"), "Throws: unknown keyword");
             
-            statement = language.assembleStatement(`${addInstruction.keyword}`);
+            statement = language.assembleStatement(`${addInstruction.keyword} 1 0`);
             this.assertEqual(statement?.instruction, addInstruction, "ADD: instruction");
-            this.assertEqual(statement?.operands.length, 0, "ADD: no operands");
+            this.assertElementsEqual(statement?.operands, [1, 0], "ADD: register operands");
             this.assertEqual(statement?.comment, null, "ADD: no comment");
             
-            this.assertThrows(() => language.assembleStatement("ADD 3 4"), "ADD: rejects any operands");
+            this.assertThrows(() => language.assembleStatement("ADD"), "ADD: requires operands");
+            this.assertThrows(() => language.assembleStatement("ADD 3 4"), "ADD: rejects invalid registers");
             
             statement = language.assembleStatement("set 1 1234 # set 1234");
             this.assertEqual(statement?.instruction, setInstruction, "SET: instruction");
@@ -334,12 +610,396 @@ class AssemblyLanguageTests {
             this.assertThrows(() => language.assembleStatement("SET 3 1 2 4"), "SET: wrong operand count");
             this.assertThrows(() => language.assembleStatement("SET 1 abc"), "SET: invalid operand format");
             this.assertThrows(() => language.assembleStatement("SET def 2"), "SET: invalid operand format");
-            // this.assertThrows(() => language.assembleStatement("SET 0.5 2"), "SET: invalid operand format"); // TODO: implement strict integer parsing
+            this.assertThrows(() => language.assembleStatement("SET 0.5 2"), "SET: invalid operand format");
+            this.assertThrows(() => language.assembleStatement("SET 0 12abc"), "SET: trailing garbage");
+            
+            statement = language.assembleStatement("SET $R1 0x10");
+            this.assertElementsEqual(statement?.operands, [1, 16], "SET: register name, hex literal");
             this.assertThrows(() => language.assembleStatement("SET 7 2"), "SET: invalid register number");
         }).buildAndRun();
     }
     
-    static all = [AssemblyLanguageTests.getInstructionTests, this.parsingTests];
+    static diagnosticTests() {
+        new UnitTest("AssemblySyntax.tokenizeLine: columns", function() {
+            let syntax = new AssemblySyntax();
+            let columns = syntax.tokenizeLine("  top: SET\t1  0x10 # comment").columns;
+            this.assertElementsEqual([columns.label.start, columns.label.end], [2, 5], "label column, without ':'");
+            this.assertElementsEqual([columns.keyword.start, columns.keyword.end], [7, 10], "keyword column");
+            this.assertElementsEqual(columns.operands.map(c => c.start), [11, 14], "operand start columns, tab separated");
+            this.assertElementsEqual(columns.operands.map(c => c.end), [12, 18], "operand end columns");
+            
+            columns = syntax.tokenizeLine("# comment").columns;
+            this.assertElementsEqual([columns.label, columns.keyword, columns.operands.length], [null, null, 0], "no tokens");
+        }).buildAndRun();
+        
+        new UnitTest("AssemblyLanguage.assembleStatement: diagnostics", function() {
+            let language = new Machine().assemblyLanguage;
+            const diagnose = text => this.assertThrows(() => language.assembleStatement(text), text);
+            
+            let error = diagnose("SET 0 70000");
+            this.assertTrue(error instanceof MachineError, "MachineError");
+            this.assertTrue(error instanceof Error, "MachineError is an Error");
+            this.assertEqual(error.code, MachineError.Code.inputOutsideRange, "out of range: code");
+            this.assertElementsEqual([error.column.start, error.column.end], [6, 11], "out of range: column span");
+            this.assertEqual(error.token, "70000", "out of range: token");
+            this.assertEqual(error.expected, language.getInstruction("SET").operands[1], "out of range: expected OperandSpec");
+            this.assertEqual(error.expected.dataType.max, Machine.WORD_RANGE - 1, "out of range: expected range");
+            this.assertEqual(error.lineNumber, null, "single statement: no line number");
+            this.assertEqual(error.locationSummary, null, "single statement: no location summary");
+            this.assertEqual(`${error}`, "Input outside valid range: \"70000\" (expected i: word [0 - 65535])", "out of range: message");
+            
+            error = diagnose("  nope 1");
+            this.assertEqual(error.code, MachineError.Code.unknownInstruction, "unknown instruction: code");
+            this.assertEqual(error.token, "NOPE", "unknown instruction: token");
+            this.assertElementsEqual([error.column.start, error.column.end], [2, 6], "unknown instruction: column span");
+            
+            error = diagnose("ADD 1");
+            this.assertEqual(error.code, MachineError.Code.invalidInstructionFormat, "operand count: code");
+            this.assertEqual(error.detail, "expected 2 operands: ADD n m", "operand count: detail");
+            
+            error = diagnose("BZ 0 x");
+            this.assertEqual(error.code, MachineError.Code.invalidInputType, "invalid register: code");
+            this.assertEqual(error.column.start, 5, "invalid register: column");
+            
+            error = language.assemble(["", "BZ 0 x"]).errors[0];
+            this.assertEqual(error.lineNumber, 2, "assemble: line number");
+            this.assertEqual(error.locationSummary, "line 2, column 6", "assemble: location summary, one-based column");
+            
+            error = this.assertThrows(() => DataType.register.parse("5"), "DataType.parse");
+            this.assertEqual(error.expected, DataType.register, "DataType.parse: expected DataType");
+        }).buildAndRun();
+    }
+    
+    static labelTests() {
+        new UnitTest("AssemblyLanguage.assemble: labels", function() {
+            let language = new Machine().assemblyLanguage;
+            let result = language.assemble([
+                "start: SET 1 0",
+                "BZ end 1     # forward reference",
+                "",
+                "loop:",
+                "BZ loop 0",
+                "end: BZ start 0",
+            ]);
+            this.assertEqual(result.errors.length, 0, "No errors");
+            this.assertEqual(result.statements.length, 6, "One statement per line");
+            this.assertElementsEqual(result.statements[1].operands, [5, 1], "Forward reference resolved");
+            this.assertElementsEqual(result.statements[4].operands, [3, 0], "Label-only line: labels its own statement index");
+            this.assertElementsEqual(result.statements[5].operands, [0, 0], "Backward reference resolved");
+            this.assertEqual(result.statements[3].label, "loop", "Statement label");
+            this.assertEqual(result.statements[3].instruction, null, "Label-only line: no-op");
+            this.assertEqual(language.disassembleStatement(result.statements[5]), "end: BZ 0 0", "Disassembly: label kept, reference resolved");
+            
+            result = language.assemble([
+                "a: SET 0 1",
+                "BZ b 0",
+                "a: SET 0 2",
+                "SET c 2",
+                "9x: SET 0 3",
+                "BZ Start 0",
+            ]);
+            this.assertElementsEqual(result.errors.map(e => e.lineNumber), [2, 3, 4, 5, 6], "Errors sorted by line number");
+            this.assertElementsEqual(result.errors.map(e => e.code), [
+                MachineError.Code.undefinedLabel,
+                MachineError.Code.duplicateLabel,
+                MachineError.Code.invalidInputType,
+                MachineError.Code.invalidLabel,
+                MachineError.Code.undefinedLabel
+            ], "Error codes: undefined, duplicate, labels not accepted for register operands, invalid, case-sensitive");
+            this.assertEqual(result.errors[0].token, "b", "Undefined label: token");
+            this.assertEqual(result.errors[1].detail, "first defined on line 1", "Duplicate label: first definition");
+            this.assertEqual(result.errors[3].token, "9x", "Invalid label: token");
+        }).buildAndRun();
+    }
+    
+    static directiveTests() {
+        new UnitTest("AssemblySyntax: quoted literals", function() {
+            let syntax = new AssemblySyntax();
+            let result = syntax.tokenizeLine('msg: .string "a # \\"b\\"" # comment');
+            this.assertEqual(result.keyword, ".STRING", "directive keyword");
+            this.assertElementsEqual(result.operands, ['"a # \\"b\\""'], "string token: spaces, '#' and escaped quotes");
+            this.assertEqual(result.comment, "comment", "comment after string");
+            this.assertElementsEqual(syntax.tokenizeLine("SET 0 ' ' # space").operands, ["0", "' '"], "character literal: space");
+            this.assertElementsEqual(syntax.tokenizeLine("SET 0 '#'").operands, ["0", "'#'"], "character literal: '#'");
+            this.assertTrue(AssemblySyntax.isDirective(".WORD"), "isDirective");
+            this.assertFalse(AssemblySyntax.isDirective("WORD"), "isDirective: no '.'");
+            
+            this.assertElementsEqual(AssemblySyntax.parseStringLiteral('"Hi!\\n"'), [72, 105, 33, 10], "parseStringLiteral");
+            this.assertElementsEqual(AssemblySyntax.parseStringLiteral('""'), [], "parseStringLiteral: empty");
+            this.assertEqual(AssemblySyntax.parseStringLiteral('"abc'), null, "parseStringLiteral: unterminated");
+            this.assertEqual(AssemblySyntax.parseStringLiteral('"\\q"'), null, "parseStringLiteral: unknown escape");
+            this.assertEqual(AssemblySyntax.parseStringLiteral("'a'"), null, "parseStringLiteral: single quotes");
+        }).buildAndRun();
+        
+        new UnitTest("AssemblyLanguage.assemble: directives", function() {
+            let language = new Machine().assemblyLanguage;
+            let result = language.assemble([
+                ".equ COUNT 3",
+                ".equ LIMIT COUNT",
+                "        SET 0 COUNT",
+                "        .org 0x100",
+                "table:  .word 1 -1 done",
+                "msg:    .string \"Hi\"",
+                "        LOAD 1 table",
+                "done:   BZ LIMIT 1",
+            ]);
+            this.assertEqual(result.errors.length, 0, "No errors");
+            this.assertEqual(result.statements.length, 8, "One statement per line");
+            this.assertEqual(result.statements[4].instruction, null, "Directive: no-op statement");
+            this.assertElementsEqual(result.statements[2].operands, [0, 3], ".equ constant as operand");
+            this.assertElementsEqual(result.statements[6].operands, [1, 0x100], "Data label: data address");
+            this.assertElementsEqual(result.statements[7].operands, [3, 1], "Constant referencing constant");
+            this.assertEqual(result.data.length, 2, "Data blocks");
+            this.assertEqual(result.data[0].address, 0x100, ".org: data address");
+            this.assertEqual(result.data[0].lineNumber, 5, ".word: line number");
+            this.assertElementsEqual(result.data[0].bytes, [1, 0, 0xff, 0xff, 7, 0], ".word: little-endian words, two's complement, forward reference");
+            this.assertEqual(result.data[1].address, 0x106, ".string: follows previous data");
+            this.assertElementsEqual(result.data[1].bytes, [72, 105, 0], ".string: zero-terminated bytes");
+            
+            result = language.assemble([
+                ".equ A LATER",
+                ".bogus 1",
+                ".string abc",
+                ".word",
+                ".equ 9 1",
+                "LATER: .org 0xffff",
+                ".word 1",
+                ".equ LATER 2",
+                ".org",
+            ]);
+            this.assertElementsEqual(result.errors.map(e => [e.lineNumber, e.code]).flat(), [
+                1, MachineError.Code.undefinedLabel,
+                2, MachineError.Code.unsupportedDirective,
+                3, MachineError.Code.invalidInputType,
+                4, MachineError.Code.invalidInstructionFormat,
+                5, MachineError.Code.invalidLabel,
+                7, MachineError.Code.memoryOutOfBounds,
+                8, MachineError.Code.duplicateLabel,
+                9, MachineError.Code.invalidInstructionFormat
+            ], "Directive errors");
+            
+            let error = this.assertThrows(() => language.assembleStatement(".word 1"), "assembleStatement: directive");
+            this.assertEqual(error?.code, MachineError.Code.unsupportedDirective, "assembleStatement: directive not supported");
+        }).buildAndRun();
+    }
+    
+    static macroTests() {
+        new UnitTest("AssemblyLanguage.assemble: macros", function() {
+            let language = new Machine().assemblyLanguage;
+            let result = language.assemble([
+                ".macro clear r # r = 0",
+                "        SET r 0",
+                ".endm",
+                ".macro JMP target scratch",
+                "        CLEAR scratch",
+                "        BZ target scratch",
+                ".endm",
+                "start:  CLEAR 1 # first",
+                "        JMP done R0",
+                "done:   ADD 0 1",
+            ]);
+            this.assertEqual(result.errors.length, 0, "No errors");
+            this.assertElementsEqual(result.statements.map(s => language.disassembleStatement(s)), [
+                "", "", "", "", "", "", "",
+                "start: # first",
+                "SET 1 0",
+                "",
+                "SET 0 0",
+                "BZ 12 0",
+                "done: ADD 0 1"
+            ], "Definitions are no-ops, calls expanded after a no-op with the call's label and comment");
+            this.assertEqual(result.statements[7].text, "start:  CLEAR 1 # first", "Call statement: source text");
+            this.assertEqual(result.statements[11].text, "BZ done R0", "Expanded statement: expanded text");
+            
+            result = language.assemble([
+                ".macro SWAP a b",
+                "        XOR a b",
+                "        XOR b a",
+                "        XOR a b",
+                ".endm",
+                ".macro twice a b",
+                "        SWAP a b",
+                "        SWAP a b",
+                ".endm",
+                "        TWICE 0 5",
+            ]);
+            this.assertEqual(result.errors.length, 6, "Error for every expanded line");
+            let error = result.errors[0];
+            this.assertEqual(error.code, MachineError.Code.inputOutsideRange, "Error code from expanded line");
+            this.assertEqual(error.lineNumber, 10, "Error located at call site");
+            this.assertEqual(error.column?.start, 8, "Error column: call keyword");
+            this.assertEqual(error.token, "5", "Error token: substituted argument");
+            this.assertEqual(error.macro?.name, "SWAP", "Error macro: innermost macro");
+            this.assertEqual(error.macro?.lineNumber, 2, "Error macro: definition line");
+            this.assertEqual(error.locationSummary, "line 10, column 9, in macro SWAP on line 2", "locationSummary");
+
+            result = language.assemble([
+                ".macro COUNTDOWN r target",
+                "loop:   ADD r 1",
+                "        BZ target r",
+                "        BZ loop 1",
+                ".endm",
+                ".macro BOTH",
+                "        COUNTDOWN 0 loop",
+                "        COUNTDOWN 1 loop",
+                ".endm",
+                "loop:   COUNTDOWN 0 loop",
+                "        COUNTDOWN 1 done",
+                "        BOTH",
+                "done:   ADD 0 1",
+            ]);
+            this.assertEqual(result.errors.length, 0, "Labels in macro bodies: no errors when called more than once");
+            this.assertElementsEqual(result.statements.slice(9).map(s => language.disassembleStatement(s)), [
+                "loop:",
+                "loop__10: ADD 0 1",
+                "BZ 9 0",
+                "BZ 10 1",
+                "",
+                "loop__11: ADD 1 1",
+                "BZ 24 1",
+                "BZ 14 1",
+                "",
+                "loop__12_7: ADD 0 1",
+                "BZ 9 0",
+                "BZ 18 1",
+                "loop__12_8: ADD 1 1",
+                "BZ 9 1",
+                "BZ 21 1",
+                "done: ADD 0 1"
+            ], "Labels in macro bodies are unique to each expansion; argument labels are not renamed");
+        }).buildAndRun();
+        
+        new UnitTest("AssemblyLanguage.assemble: macro errors", function() {
+            let language = new Machine().assemblyLanguage;
+            let result = language.assemble([
+                ".macro",
+                ".endm",
+                ".macro ADD a",
+                ".endm",
+                ".macro M a a",
+                ".endm",
+                ".macro N a",
+                "        .macro O",
+                ".endm",
+                ".endm",
+                ".macro N",
+                ".endm",
+                "        N",
+                ".macro R",
+                "        R",
+                ".endm",
+                "        R",
+                ".macro OPEN",
+            ]);
+            this.assertElementsEqual(result.errors.map(e => [e.lineNumber, e.code, e.detail]).flat(), [
+                1, MachineError.Code.invalidInstructionFormat, "expected 1 operand",
+                3, MachineError.Code.invalidMacro, "name of an instruction",
+                5, MachineError.Code.invalidMacro, "duplicate parameter name",
+                8, MachineError.Code.invalidMacro, "macro definitions cannot be nested",
+                10, MachineError.Code.invalidMacro, "no matching .MACRO",
+                11, MachineError.Code.invalidMacro, "first defined on line 7",
+                13, MachineError.Code.invalidInstructionFormat, "expected 1 operand: N a",
+                17, MachineError.Code.invalidMacro, "recursive macro call",
+                18, MachineError.Code.invalidMacro, "missing .ENDM"
+            ], "Macro errors");
+            this.assertEqual(result.errors[7].macro?.lineNumber, 15, "Recursive call: macro definition line");
+            
+            let error = this.assertThrows(() => language.assembleStatement(".macro M"), "assembleStatement: macro");
+            this.assertEqual(error?.code, MachineError.Code.unsupportedDirective, "assembleStatement: macros not supported");
+        }).buildAndRun();
+    }
+    
+    static machineCodeTests() {
+        new UnitTest("AssemblyLanguage.encode/decode", function() {
+            let language = new Machine().assemblyLanguage;
+            let statements = [
+                "SET 1 1234",
+                "# comment",
+                "ADD 1 0",
+                "NOT 1",
+                "BZ 65535 1",
+                "BFC 3",
+                "LOAD 0 512",
+            ].map(line => language.assembleStatement(line));
+            
+            let image = language.encode(statements);
+            this.assertTrue(image instanceof Uint16Array, "encode: Uint16Array");
+            this.assertElementsEqual(image, [
+                0x0110, 1234,
+                0x0000, 0,
+                0x1010, 0,
+                0x1b10, 0,
+                0x2010, 65535,
+                0x2200, 3,
+                0x3000, 512
+            ], "encode: opcodes and operands");
+            
+            let decoded = language.decode(image);
+            this.assertEqual(decoded.length, statements.length, "decode: statement count");
+            decoded.forEach((statement, index) => {
+                this.assertEqual(statement.instruction, statements[index].instruction, `decode: instruction ${index}`);
+                this.assertElementsEqual(statement.operands, statements[index].operands, `decode: operands ${index}`);
+            });
+            this.assertEqual(decoded[0].text, "SET 1 1234", "decode: text");
+            this.assertEqual(decoded[1].comment, null, "decode: no-op comment not preserved");
+            
+            this.assertEqual(language.encode([]).length, 0, "encode: empty");
+            this.assertEqual(language.decode(new Uint16Array(0)).length, 0, "decode: empty");
+            this.assertThrows(() => language.decode(new Uint16Array([0xff00, 0])), "decode: unknown opcode");
+            this.assertThrows(() => new AssemblyLanguage([]).decode(image), "decode: opcode not in language");
+            
+            let wideInstruction = new AssemblyInstruction({
+                keyword: "WIDE",
+                opcode: 0x7f,
+                operands: AssemblyInstruction.registerOperands(DataType.standard, "a", "b", "c"),
+                microcode: function() { },
+                description: "Too many register operands"
+            });
+            this.assertThrows(() => language.encode([new AssemblyStatement(wideInstruction, [0, 1, 1], "WIDE 0 1 1", null)]), "encode: too many packed operands");
+        }).buildAndRun();
+    }
+    
+    static disassemblyTests() {
+        new UnitTest("AssemblySyntax.formatLine", function() {
+            let syntax = new AssemblySyntax();
+            this.assertEqual(syntax.formatLine({ keyword: null, operands: [], comment: null }), "", "empty");
+            this.assertEqual(syntax.formatLine({ keyword: null, operands: [], comment: "note" }), "# note", "comment only");
+            this.assertEqual(syntax.formatLine({ keyword: "ADD", operands: [0, 1], comment: null }), "ADD 0 1", "keyword and operands");
+            this.assertEqual(syntax.formatLine(syntax.tokenizeLine("  set 1   123  # set  register")), "SET 1 123 # set  register", "round trip tokenizeLine");
+        }).buildAndRun();
+        
+        new UnitTest("AssemblyLanguage.disassemble", function() {
+            let machine = new Machine();
+            let language = machine.assemblyLanguage;
+            let source = [
+                "  set 1   0x00000   # init",
+                "",
+                "#   loop",
+                "ADD   0  1",
+                "bz 3 1",
+            ];
+            let canonical = "SET 1 0 # init\n\n# loop\nADD 0 1\nBZ 3 1";
+            let statements = source.map(line => language.assembleStatement(line) ?? new AssemblyStatement(null, [], line, null));
+            
+            this.assertEqual(language.disassemble(statements), canonical, "statements: canonical source");
+            this.assertEqual(language.disassemble(language.encode(statements)), "SET 1 0\n\n\nADD 0 1\nBZ 3 1", "image: canonical source without comments");
+            this.assertEqual(language.disassemble([]), "", "no statements");
+            
+            machine.append(statements);
+            this.assertEqual(machine.disassemble(), canonical, "Machine.disassemble");
+            
+            for (const statement of statements) {
+                let text = language.disassembleStatement(statement);
+                let reassembled = language.assembleStatement(text) ?? new AssemblyStatement(null, [], text, null);
+                this.assertEqual(reassembled.instruction, statement.instruction, `round trip instruction: ${text}`);
+                this.assertElementsEqual(reassembled.operands, statement.operands, `round trip operands: ${text}`);
+                this.assertEqual(reassembled.comment, statement.comment, `round trip comment: ${text}`);
+                this.assertEqual(language.disassembleStatement(reassembled), text, `round trip is stable: ${text}`);
+            }
+        }).buildAndRun();
+    }
+    
+    static all = [AssemblyLanguageTests.getInstructionTests, this.parsingTests, this.diagnosticTests, this.labelTests, this.directiveTests, this.macroTests, this.machineCodeTests, this.disassemblyTests];
 }
 
 class MachineTests {
@@ -351,6 +1011,17 @@ class MachineTests {
             this.assertEqual(machine.instructionCount, 0, "Initialized with no instructions");
             this.assertTrue(machine.halting, "Will always halt immediately after init with no instructions");
             this.assertEqual(machine.nextInstruction, null, "nextInstruction always null after init with no instructions");
+            this.assertEqual(machine.memory.length, Machine.WORD_RANGE, "Memory size");
+            this.assertTrue(machine.memory.every(b => b == 0), "Memory initialized to zero");
+        }).buildAndRun();
+        
+        new UnitTest("Machine.reset", function() {
+            let machine = new Machine();
+            machine.writeWord(8, 0xabcd);
+            machine.reset({ pc: true, registers: true });
+            this.assertEqual(machine.readWord(8), 0xabcd, "Memory not reset by default");
+            machine.reset({ memory: true });
+            this.assertEqual(machine.readWord(8), 0, "Memory reset");
         }).buildAndRun();
     }
     
@@ -369,8 +1040,74 @@ class MachineTests {
             machine.registers[0] = 3;
             machine.registers[1] = 7;
             
-            machine.addRegisters();
+            machine.addRegisters(0, 1);
             this.assertElementsEqual(machine.registers, [10, 7], "addRegisters");
+            this.assertEqual(machine.flagsSummary, "----", "addRegisters: no flags");
+            
+            machine.registers[0] = Machine.WORD_RANGE - 1;
+            machine.registers[1] = 1;
+            machine.addRegisters(0, 1);
+            this.assertElementsEqual(machine.registers, [0, 1], "addRegisters: unsigned wraparound");
+            this.assertEqual(machine.flagsSummary, "ZC--", "addRegisters: unsigned wraparound flags");
+            
+            machine.registers[0] = Machine.WORD_RANGE / 2 - 1;
+            machine.addRegisters(0, 1);
+            this.assertElementsEqual(machine.registers, [Machine.WORD_RANGE / 2, 1], "addRegisters: signed overflow");
+            this.assertEqual(machine.flagsSummary, "--VN", "addRegisters: signed overflow flags");
+            
+            machine.registers[1] = Machine.WORD_RANGE / 2;
+            machine.addRegisters(0, 1);
+            this.assertElementsEqual(machine.registers, [0, Machine.WORD_RANGE / 2], "addRegisters: signed and unsigned wraparound");
+            this.assertEqual(machine.flagsSummary, "ZCV-", "addRegisters: signed and unsigned wraparound flags");
+            
+            machine.reset({ registers: true });
+            this.assertEqual(machine.flagsSummary, "----", "reset registers: flags cleared");
+        }).buildAndRun();
+        
+        new UnitTest("Machine arithmetic and logic microcode", function() {
+            let machine = new Machine();
+            const check = (microcode, a, b, expected, flags, msg) => {
+                machine.registers[0] = a;
+                machine.registers[1] = b;
+                microcode.call(machine, 0, 1);
+                this.assertEqual(machine.registers[0], expected, msg);
+                this.assertEqual(machine.flagsSummary, flags, `${msg}: flags`);
+            };
+            check(machine.subtractRegisters, 7, 3, 4, "----", "SUB");
+            check(machine.subtractRegisters, 7, 7, 0, "Z---", "SUB: zero");
+            check(machine.subtractRegisters, 3, 7, Machine.WORD_RANGE - 4, "-C-N", "SUB: borrow");
+            check(machine.subtractRegisters, Machine.WORD_RANGE / 2, 1, Machine.WORD_RANGE / 2 - 1, "--V-", "SUB: signed overflow");
+            check(machine.multiplyRegisters, 6, 7, 42, "----", "MUL");
+            check(machine.multiplyRegisters, 300, 300, 90000 - Machine.WORD_RANGE, "-CV-", "MUL: wraparound");
+            check(machine.multiplyRegisters, Machine.WORD_RANGE - 1, 2, Machine.WORD_RANGE - 2, "-C-N", "MUL: signed -1 * 2");
+            check(machine.divideRegisters, 7, 2, 3, "----", "DIV");
+            check(machine.divideRegisters, 1, 2, 0, "Z---", "DIV: zero");
+            check(machine.moduloRegisters, 7, 2, 1, "----", "MOD");
+            check(machine.andRegisters, 0b1100, 0b1010, 0b1000, "----", "AND");
+            check(machine.orRegisters, 0b1100, 0b1010, 0b1110, "----", "OR");
+            check(machine.xorRegisters, 0b1100, 0b1100, 0, "Z---", "XOR");
+            check(machine.notRegister, 0, 0, Machine.WORD_RANGE - 1, "---N", "NOT");
+            check(machine.shiftLeftRegister, 3, 2, 12, "----", "SHL");
+            check(machine.shiftLeftRegister, Machine.WORD_RANGE / 2 + 1, 1, 2, "-CV-", "SHL: bits shifted out");
+            check(machine.shiftLeftRegister, 1, 100, 0, "ZCV-", "SHL: shift past word size");
+            check(machine.shiftRightRegister, 12, 2, 3, "----", "SHR");
+            check(machine.shiftRightRegister, 5, 1, 2, "-C--", "SHR: bits shifted out");
+            check(machine.shiftRightRegister, Machine.WORD_RANGE - 1, 100, 0, "ZC--", "SHR: shift past word size");
+            
+            machine.registers[0] = 5;
+            machine.registers[1] = 0;
+            this.assertThrows(() => machine.divideRegisters(0, 1), "DIV: divide by zero");
+            this.assertThrows(() => machine.moduloRegisters(0, 1), "MOD: divide by zero");
+            this.assertEqual(machine.registers[0], 5, "Divide by zero: register unchanged");
+        }).buildAndRun();
+        
+        new UnitTest("Machine.branchIfFlag microcode", function() {
+            let machine = new Machine();
+            machine.branchIfFlag(Machine.Flag.carry, 9);
+            this.assertEqual(machine.pc, 0, "branchIfFlag, flag clear: no PC change");
+            machine.flags.carry = true;
+            machine.branchIfFlag(Machine.Flag.carry, 9);
+            this.assertEqual(machine.pc, 9, "branchIfFlag, flag set: PC updated");
         }).buildAndRun();
         
         new UnitTest("Machine.branchIfZero microcode", function() {
@@ -386,6 +1123,50 @@ class MachineTests {
             machine.branchIfZero(9, 1);
             this.assertEqual(machine.pc, 9, "branchIfZero, register == 0: PC updated");
         }).buildAndRun();
+        
+        new UnitTest("Machine.loadRegister/storeRegister microcode", function() {
+            let machine = new Machine();
+            machine.registers[0] = 0x1234;
+            
+            machine.storeRegister(0, 0x10);
+            this.assertElementsEqual([machine.memory[0x10], machine.memory[0x11]], [0x34, 0x12], "storeRegister: little-endian word");
+            
+            machine.loadRegister(1, 0x10);
+            this.assertEqual(machine.registers[1], 0x1234, "loadRegister: reads word");
+            machine.loadRegister(1, 0x11);
+            this.assertEqual(machine.registers[1], 0x12, "loadRegister: unaligned address");
+            
+            this.assertThrows(() => machine.storeRegister(0, Machine.WORD_RANGE - 1), "storeRegister: word past end of memory");
+            this.assertThrows(() => machine.loadRegister(0, -1), "loadRegister: negative address");
+        }).buildAndRun();
+        
+        new UnitTest("Machine stack microcode", function() {
+            let machine = new Machine();
+            this.assertEqual(machine.sp, Machine.WORD_RANGE, "SP: empty stack at top of memory");
+            this.assertEqual(machine.stackBase, Machine.WORD_RANGE - Machine.STACK_SIZE, "stackBase");
+            
+            machine.registers[0] = 0x1234;
+            machine.pushRegister(0);
+            this.assertEqual(machine.sp, Machine.WORD_RANGE - 2, "pushRegister: SP decremented");
+            this.assertEqual(machine.readWord(machine.sp), 0x1234, "pushRegister: word on top of stack");
+            machine.popRegister(1);
+            this.assertElementsEqual(machine.registers, [0x1234, 0x1234], "popRegister: register set");
+            this.assertEqual(machine.sp, Machine.WORD_RANGE, "popRegister: SP incremented");
+            
+            this.assertThrows(() => machine.popRegister(0), "popRegister: empty stack: stack underflow", MachineError.Code.stackUnderflow);
+            this.assertEqual(machine.sp, Machine.WORD_RANGE, "Stack underflow: SP unchanged");
+            
+            for (let i = 0; i < Machine.STACK_SIZE / Machine.WORD_SIZE; i += 1) {
+                machine.push(i);
+            }
+            this.assertEqual(machine.sp, machine.stackBase, "push: stack full");
+            this.assertThrows(() => machine.pushRegister(0), "pushRegister: full stack: stack overflow", MachineError.Code.stackOverflow);
+            this.assertEqual(machine.readWord(machine.stackBase - 2), 0, "Stack overflow: memory below stack unchanged");
+            this.assertEqual(machine.pop(), Machine.STACK_SIZE / Machine.WORD_SIZE - 1, "pop: last pushed value");
+            
+            machine.reset({ registers: true });
+            this.assertEqual(machine.sp, Machine.WORD_RANGE, "reset: stack emptied");
+        }).buildAndRun();
     }
      
     static statementTests() {
@@ -396,8 +1177,8 @@ class MachineTests {
             let statements = [
                 new AssemblyStatement(setInstruction, [0, 5], "SET 0 5", null),
                 new AssemblyStatement(setInstruction, [1, 10], "SET 1 10", null),
-                new AssemblyStatement(addInstruction, [], "ADD", null),
-                new AssemblyStatement(addInstruction, [], "ADD", null)
+                new AssemblyStatement(addInstruction, [0, 1], "ADD 0 1", null),
+                new AssemblyStatement(addInstruction, [0, 1], "ADD 0 1", null)
             ];
             
             this.assertTrue(machine.halting, "init: halting");
@@ -434,6 +1215,46 @@ class MachineTests {
         }).buildAndRun();
     }
     
+    static imageTests() {
+        new UnitTest("Machine: execute from memory", function() {
+            let machine = new Machine();
+            let image = machine.assemblyLanguage.encode([
+                "SET 0 7",
+                "SET 1 0",
+                "BZ 4 1",
+                "SET 0 9",
+                "ADD 1 0",
+            ].map(line => machine.assemblyLanguage.assembleStatement(line)));
+            
+            machine.writeImage(0x100, image);
+            this.assertElementsEqual(machine.memory.subarray(0x100, 0x104), [0x00, 0x01, 7, 0], "writeImage: little-endian words");
+            this.assertElementsEqual(machine.readImage(0x100, image.length), image, "readImage");
+            this.assertThrows(() => machine.writeImage(Machine.WORD_RANGE - 2, image), "writeImage: out of bounds");
+            this.assertThrows(() => machine.readImage(Machine.WORD_RANGE - 2, 2), "readImage: out of bounds");
+            
+            machine.appendFromMemory(0x100, 5);
+            this.assertEqual(machine.instructionCount, 5, "appendFromMemory: statements appended");
+            machine.run();
+            this.assertElementsEqual(machine.registers, [7, 7], "appendFromMemory: decoded statements executed");
+        }).buildAndRun();
+        
+        new UnitTest("Machine: execute from memory, 32-bit profile", function() {
+            let machine = new Machine(new MachineProfile({ wordBits: 32 }));
+            this.assertEqual(machine.assemblyLanguage.statementWords, 3, "statementWords: 32-bit operand");
+            this.assertEqual(new Machine(new MachineProfile({ wordBits: 8, memorySize: 0x100 })).assemblyLanguage.statementWords, 2, "statementWords: 8-bit");
+            let statements = ["SET 0 0x12345678", "SET 1 -1", "ADD 0 1"]
+                .map(line => machine.assemblyLanguage.assembleStatement(line));
+            let image = machine.assemblyLanguage.encode(statements);
+            this.assertElementsEqual(image, [0x0100, 0x5678, 0x1234, 0x0110, 0xffff, 0xffff, 0x1001, 0, 0], "encode: operand low word first");
+            this.assertEqual(machine.assemblyLanguage.disassemble(image), "SET 0 305419896\nSET 1 4294967295\nADD 0 1", "decode: 32-bit operands");
+            
+            machine.writeImage(0x100, image);
+            machine.appendFromMemory(0x100, 3);
+            machine.run();
+            this.assertElementsEqual(machine.registers, [0x12345677, 0xffffffff], "appendFromMemory: decoded statements executed");
+        }).buildAndRun();
+    }
+    
     static stepTests() {
         new UnitTest("Machine.step: sequential", function() {
             let machine = new Machine();
@@ -441,7 +1262,7 @@ class MachineTests {
             let addInstruction = machine.assemblyLanguage.getInstruction("ADD");
             let statements = [
                 new AssemblyStatement(setInstruction, [1, 10], "SET 1 10", null),
-                new AssemblyStatement(addInstruction, [], "ADD", null)
+                new AssemblyStatement(addInstruction, [0, 1], "ADD 0 1", null)
             ];
             
             let pc = machine.pc;
@@ -503,7 +1324,7 @@ class MachineTests {
             let statements = [
                 new AssemblyStatement(setInstruction, [1, 10], "SET 1 10", null),
                 new AssemblyStatement(null, [], "# noop", "noop"),
-                new AssemblyStatement(addInstruction, [], "ADD", null)
+                new AssemblyStatement(addInstruction, [0, 1], "ADD 0 1", null)
             ];
             
             let pc0 = machine.pc;
@@ -526,6 +1347,36 @@ class MachineTests {
             this.assertElementsEqual([machine.registers[0], machine.registers[1]], [20, 10], "Run after reset PC: statements executed, registers updated");
             this.assertTrue(machine.halting, "Run after reset PC: halting");
         }).buildAndRun();
+        
+        new UnitTest("Machine.run: budgets", function() {
+            let machine = new Machine();
+            let branchIfZeroInstruction = machine.assemblyLanguage.getInstruction("BZ");
+            machine.append([new AssemblyStatement(branchIfZeroInstruction, [0, 1], "BZ 0 1", null)]);
+            
+            let result = machine.run({ maxCycles: 100 });
+            this.assertEqual(result.status, Machine.RunStatus.cycleLimit, "Infinite loop: stops at cycle limit");
+            this.assertEqual(result.cycles, 100, "Infinite loop: cycle count");
+            this.assertFalse(machine.halting, "Infinite loop: not halting");
+            
+            result = machine.run({ maxCycles: 100, timeLimit: 0 });
+            this.assertEqual(result.status, Machine.RunStatus.timeLimit, "Time limit exceeded");
+            this.assertEqual(result.cycles, 0, "Time limit exceeded: no cycles");
+            
+            let controller = new AbortController();
+            controller.abort();
+            result = machine.run({ signal: controller.signal });
+            this.assertEqual(result.status, Machine.RunStatus.aborted, "Aborted");
+            this.assertEqual(result.cycles, 0, "Aborted: no cycles");
+            
+            result = machine.run();
+            this.assertEqual(result.status, Machine.RunStatus.cycleLimit, "Default options: stops at default cycle limit");
+            this.assertEqual(result.cycles, Machine.DEFAULT_MAX_CYCLES, "Default options: cycle count");
+            
+            machine.setRegister(1, 1);
+            result = machine.run({ maxCycles: 100 });
+            this.assertEqual(result.status, Machine.RunStatus.halted, "Loop exits: halted");
+            this.assertEqual(result.cycles, 1, "Loop exits: cycle count");
+        }).buildAndRun();
     }
     
     static controlFlowTests() {
@@ -539,7 +1390,7 @@ class MachineTests {
                 new AssemblyStatement(setInstruction, [1, 5], "SET 1 5", null),
                 new AssemblyStatement(branchIfZeroInstruction, [3, 0], "BZ 3 0", null),
                 new AssemblyStatement(setInstruction, [0, 6], "SET 0 6", null),
-                new AssemblyStatement(addInstruction, [], "ADD", null)
+                new AssemblyStatement(addInstruction, [0, 1], "ADD 0 1", null)
             ];
             
             machine.append(statements);
@@ -565,14 +1416,1002 @@ class MachineTests {
         }).buildAndRun();
     }
     
-    static all = [MachineTests.initTests, this.microcodeTests, this.statementTests, this.stepTests, this.runTests, this.controlFlowTests];
+    static profileTests() {
+        new UnitTest("Machine: profiles", function() {
+            let machine = new Machine(new MachineProfile({ registerCount: 4, wordBits: 8, memorySize: 0x100 }));
+            this.assertEqual(machine.registers.length, 4, "8-bit: register count");
+            this.assertEqual(machine.memory.length, 0x100, "8-bit: memory size");
+            this.assertEqual(machine.sp, 0x100, "8-bit: SP");
+            machine.append(machine.assemblyLanguage.assemble([
+                "        SET 3 200",
+                "        SET 2 100",
+                "        ADD 3 2",
+                "        PUSH 3",
+                "        CALL sub",
+                "        POP 0",
+                "        STORE 3 0x80",
+                "        SET 1 0",
+                "        BZ end 1",
+                "sub:    RET",
+                "end:",
+            ]).statements);
+            this.assertEqual(machine.run().status, Machine.RunStatus.halted, "8-bit: run");
+            this.assertElementsEqual(machine.registers, [44, 0, 100, 44], "8-bit: wraparound");
+            this.assertEqual(machine.flagsSummary, "-C--", "8-bit: carry");
+            this.assertElementsEqual(machine.memory.subarray(0xfd), [5, 0, 44], "8-bit: PUSH one byte per word, CALL two bytes per address");
+            this.assertEqual(machine.sp, 0x100, "8-bit: stack empty");
+            this.assertElementsEqual(machine.memory.subarray(0x80, 0x82), [44, 0], "8-bit: STORE one byte");
+            this.assertThrows(() => machine.assemblyLanguage.assembleStatement("SET 0 256"), "8-bit: word out of range");
+            this.assertThrows(() => machine.assemblyLanguage.assembleStatement("LOAD 0 0x100"), "8-bit: address out of range");
+            this.assertEqual(new REPL(machine.profile).helpText.split("\n")[0], "I am running on a 8-bit virtual machine. Instructions:", "8-bit: REPL help");
+            let errors = new Machine(new MachineProfile({ wordBits: 8 })).assemblyLanguage.assemble([
+                "        .org 0x300",
+                "msg:    .string \"hi\"",
+                "        SET 0 msg",
+                "        LOAD 0 msg",
+            ]).errors;
+            this.assertElementsEqual(errors.map(e => [e.lineNumber, e.code, e.token]).flat(), [3, MachineError.Code.inputOutsideRange, "msg"], "8-bit: label out of range for word operand");
+            
+            machine = new Machine(new MachineProfile({ wordBits: 32 }));
+            machine.registers[0] = 0xffff0000;
+            machine.registers[1] = 0x10001;
+            machine.multiplyRegisters(0, 1);
+            this.assertEqual(machine.registers[0], 0xffff0000, "32-bit: exact low word of product");
+            this.assertEqual(machine.flagsSummary, "-CVN", "32-bit: MUL flags");
+            machine.andRegisters(0, 0);
+            this.assertEqual(machine.registers[0], 0xffff0000, "32-bit: AND unsigned result");
+            machine.notRegister(0);
+            this.assertEqual(machine.registers[0], 0xffff, "32-bit: NOT");
+            machine.registers[1] = 16;
+            machine.shiftLeftRegister(0, 1);
+            this.assertEqual(machine.registers[0], 0xffff0000, "32-bit: SHL");
+            this.assertEqual(machine.readWord(machine.stackBase), 0, "32-bit: readWord");
+            machine.writeWord(0, 0x12345678);
+            this.assertElementsEqual(machine.memory.subarray(0, 4), [0x78, 0x56, 0x34, 0x12], "32-bit: writeWord");
+            errors = machine.assemblyLanguage.assemble([
+                ".equ BIG 0x12345678",
+                ".equ HIGH 0x12345",
+                "SET 0 BIG",
+                "LOAD 0 BIG",
+                "BZ HIGH 0",
+            ]).errors;
+            this.assertElementsEqual(errors.map(e => [e.lineNumber, e.code, e.token]).flat(), [
+                4, MachineError.Code.inputOutsideRange, "BIG",
+                5, MachineError.Code.inputOutsideRange, "HIGH"
+            ], "32-bit: constants out of range for address operands");
+            
+            machine = new Machine(new MachineProfile({ instructions: ["SET", "ADD", "BZ"] }));
+            this.assertElementsEqual(machine.assemblyLanguage.instructionSpecs.map(i => i.keyword), ["SET", "ADD", "BZ"], "Instruction subset");
+            let error = this.assertThrows(() => machine.assemblyLanguage.assembleStatement("SUB 0 1"), "Instruction subset: disabled instruction");
+            this.assertEqual(error?.code, MachineError.Code.unknownInstruction, "Instruction subset: unknown instruction");
+            error = this.assertThrows(() => new Machine(new MachineProfile({ instructions: ["SET", "JUMP"] })), "Instruction subset: invalid keyword");
+            this.assertEqual(error?.code, MachineError.Code.invalidProfile, "Instruction subset: invalid profile");
+            
+            let program = new Program("SET 3 7\nADD 3 3", null, new MachineProfile({ registerCount: 4 }));
+            this.assertElementsEqual(program.machine.registers, [0, 0, 0, 14], "Program: profile");
+        }).buildAndRun();
+    }
+    
+    static deviceTests() {
+        new UnitTest("Machine.attachDevice", function() {
+            let machine = new Machine();
+            let accesses = [];
+            let device = {
+                address: 0x100,
+                size: 4,
+                read: (offset, size) => { accesses.push(["read", offset, size]); return 0x12345; },
+                write: (offset, value, size) => { accesses.push(["write", offset, value, size]); }
+            };
+            machine.attachDevice(device);
+            this.assertEqual(machine.deviceAt(0x103, 1), device, "deviceAt: inside range");
+            this.assertEqual(machine.deviceAt(0xff, 2), device, "deviceAt: overlapping start");
+            this.assertEqual(machine.deviceAt(0xfe, 2), null, "deviceAt: before range");
+            this.assertEqual(machine.deviceAt(0x104, 2), null, "deviceAt: after range");
+            
+            this.assertEqual(machine.readWord(0x102), 0x2345, "readWord: from device, truncated to word size");
+            machine.writeWord(0x100, 0xabcd);
+            machine.writeWord(0xff, 7);
+            this.assertElementsEqual(accesses.flat(), ["read", 2, 2, "write", 0, 0xabcd, 2, "write", -1, 7, 2], "Device accesses");
+            this.assertElementsEqual(machine.memory.subarray(0xff, 0x104), [0, 0, 0, 0, 0], "Memory not written");
+            
+            this.assertThrows(() => machine.attachDevice({ address: 0x103, size: 2 }), "attachDevice: overlap", MachineError.Code.deviceConflict);
+            this.assertThrows(() => machine.attachDevice({ address: Machine.WORD_RANGE - 1, size: 2 }), "attachDevice: outside memory", MachineError.Code.memoryOutOfBounds);
+            
+            machine.detachDevice(device);
+            machine.writeWord(0x100, 0xabcd);
+            this.assertEqual(accesses.length, 3, "detachDevice: no more accesses");
+            this.assertEqual(machine.readWord(0x100), 0xabcd, "detachDevice: memory used");
+        }).buildAndRun();
+        
+        new UnitTest("ConsoleDevice", function() {
+            let output = "";
+            let consoleDevice = new ConsoleDevice({ output: text => { output += text; }, input: "ok" });
+            this.assertEqual(consoleDevice.address, ConsoleDevice.DEFAULT_ADDRESS, "Default address");
+            this.assertEqual(consoleDevice.inputCount, 2, "Input queued");
+            let program = new Program([
+                ".equ OUT 0xfe00",
+                ".equ IN 0xfe02",
+                ".equ STATUS 0xfe04",
+                ".macro PUTC c",
+                "        SET 0 c",
+                "        STORE 0 OUT",
+                ".endm",
+                "        PUTC 'H'",
+                "        PUTC 0x169",
+                "        PUTC ':'",
+                "echo:   LOAD 1 STATUS",
+                "        BZ done 1",
+                "        LOAD 0 IN",
+                "        STORE 0 OUT",
+                "        SET 1 0",
+                "        BZ echo 1",
+                "done:   LOAD 0 IN",
+            ].join("\n"), null, null, [consoleDevice]);
+            this.assertElementsEqual(program.output, ["HALT"], "Output: HALT");
+            this.assertEqual(output, "Hi:ok", "Console output: low byte of each word stored at output port, then echoed input");
+            this.assertEqual(consoleDevice.inputCount, 0, "Input consumed");
+            this.assertEqual(program.machine.registers[0], 0, "Input port: zero when no input queued");
+            
+            let machine = new Machine(new MachineProfile({ wordBits: 8, memorySize: 0x100 }));
+            machine.attachDevice(new ConsoleDevice({ address: 0x10 }));
+            this.assertThrows(() => machine.attachDevice(consoleDevice), "Default address outside small memory");
+        }).buildAndRun();
+    }
+    
+    static traceTests() {
+        new UnitTest("Machine: tracing", function() {
+            let machine = new Machine();
+            machine.append(machine.assemblyLanguage.assemble([
+                "        SET 0 2",
+                "        SET 1 0xffff",
+                "loop:   ADD 0 1",
+                "        BFZ done",
+                "        STORE 0 0x100",
+                "        BFC loop",
+                "done:   CALL end",
+                "end:    LOAD 0 0xffff",
+            ]).statements);
+            let events = [];
+            let listener = event => events.push(event);
+            machine.addTraceListener(listener);
+            machine.trace = [];
+            machine.traceLimit = 5;
+            let result = machine.run();
+            
+            this.assertEqual(result.status, Machine.RunStatus.fault, "Run ends with fault");
+            this.assertElementsEqual(events.map(e => e.pcBefore), [0, 1, 2, 3, 4, 5, 2, 3, 6], "Listener: execution path, no event for faulting statement");
+            this.assertElementsEqual(events.map(e => e.pcAfter), [1, 2, 3, 4, 5, 2, 3, 6, 7], "Listener: PC after each statement");
+            this.assertElementsEqual(machine.trace.map(e => e.pcBefore), [4, 5, 2, 3, 6], "Trace buffer: limited to traceLimit events");
+            
+            let add = events[2];
+            this.assertEqual(add.statement.instruction.keyword, "ADD", "Event statement");
+            this.assertElementsEqual(add.registerWrites.map(w => [w.index, w.oldValue, w.newValue]).flat(), [0, 2, 1], "Register writes");
+            this.assertEqual(Machine.summarizeFlags(add.flagsBefore), "----", "flagsBefore");
+            this.assertEqual(Machine.summarizeFlags(add.flagsAfter), "-C--", "flagsAfter");
+            let store = events[4];
+            this.assertElementsEqual(store.memoryWrites.map(w => [w.address, w.size, w.oldValue, w.newValue]).flat(), [0x100, 2, 0, 1], "Memory writes");
+            this.assertEqual(store.registerWrites.length, 0, "STORE: no register writes");
+            let call = events[8];
+            this.assertEqual(call.spBefore - call.spAfter, 2, "CALL: SP");
+            
+            this.assertEqual(Program.traceEventSummary(add), "PC 2: loop:   ADD 0 1 | R0: 2 -> 1 | Flags: ---- -> -C--", "traceEventSummary: ADD");
+            this.assertEqual(Program.traceEventSummary(store), "PC 4: STORE 0 0x100 | [256]: 0 -> 1", "traceEventSummary: STORE");
+            this.assertEqual(Program.traceEventSummary(events[5]), "PC 5: BFC loop | PC -> 2", "traceEventSummary: branch");
+            this.assertEqual(Program.traceEventSummary(events[6]), "PC 2: loop:   ADD 0 1 | R0: 1 -> 0 | Flags: -C-- -> ZC--", "traceEventSummary: second ADD");
+            this.assertEqual(Program.traceEventSummary(call), "PC 6: done:   CALL end | [65534]: 0 -> 7 | SP: 65536 -> 65534", "traceEventSummary: CALL");
+            
+            machine.removeTraceListener(listener);
+            machine.trace = null;
+            machine.reset({ pc: true });
+            machine.step();
+            this.assertEqual(events.length, 9, "removeTraceListener: no more events");
+        }).buildAndRun();
+    }
+    
+    static historyTests() {
+        new UnitTest("Machine: history and stepBack", function() {
+            let machine = new Machine();
+            machine.append(machine.assemblyLanguage.assemble([
+                "        SET 0 0xffff",
+                "        SET 1 2",
+                "        ADD 0 1",
+                "        STORE 0 0x100",
+                "        CALL sub",
+                "        SET 1 0",
+                "        BZ end 1",
+                "sub:    PUSH 1",
+                "        STORE 1 0x102",
+                "        POP 0",
+                "        RET",
+                "end:",
+            ]).statements);
+            machine.step();
+            this.assertFalse(machine.stepBack(), "Not recording: nothing to undo");
+            machine.reset({ pc: true, registers: true });
+            
+            machine.history = [];
+            machine.historyLimit = 20;
+            let result = machine.run();
+            this.assertEqual(result.status, Machine.RunStatus.halted, "Run: halted");
+            this.assertEqual(machine.history.length, result.cycles, "One history event per cycle");
+            this.assertElementsEqual(machine.registers, [2, 0], "Final registers");
+            this.assertEqual(machine.readWord(0x102), 2, "Final memory");
+            
+            this.assertTrue(machine.stepBack(), "stepBack: undone");
+            this.assertEqual(machine.pc, 11, "stepBack: PC");
+            this.assertEqual(machine.rewind(3), 3, "rewind: count undone");
+            this.assertEqual(machine.pc, 10, "rewind: PC inside subroutine");
+            this.assertEqual(machine.sp, 0x10000 - 2, "rewind: SP restored");
+            this.assertEqual(machine.readWord(0x102), 2, "rewind: memory not yet rewound");
+            this.assertEqual(machine.rewind(2), 2, "rewind: within subroutine");
+            this.assertEqual(machine.pc, 8, "rewind: PC");
+            this.assertElementsEqual(machine.registers, [1, 2], "rewind: register restored");
+            this.assertEqual(machine.sp, 0x10000 - 4, "rewind: SP restored after POP");
+            this.assertEqual(machine.readWord(0x102), 0, "rewind: memory restored");
+            this.assertEqual(machine.readWord(0xfffe), 5, "rewind: stack memory left by CALL");
+            this.assertEqual(machine.rewind(100), 6, "rewind: stops at start of history");
+            this.assertEqual(machine.pc, 0, "rewind: PC at start");
+            this.assertElementsEqual(machine.registers, [0, 0], "rewind: registers restored");
+            this.assertEqual(machine.flagsSummary, "----", "rewind: flags restored");
+            this.assertEqual(machine.sp, 0x10000, "rewind: SP at start");
+            this.assertEqual(machine.readWord(0x100), 0, "rewind: memory at start");
+            this.assertEqual(machine.readWord(0xfffe), 0, "rewind: stack memory at start");
+            this.assertFalse(machine.stepBack(), "History empty: nothing to undo");
+            
+            machine.run();
+            this.assertEqual(machine.history.length, 12, "Second run: recorded again");
+            this.assertElementsEqual(machine.registers, [2, 0], "Second run: same result");
+            machine.historyLimit = 4;
+            machine.reset({ pc: true });
+            this.assertEqual(machine.history.length, 0, "reset: history cleared");
+            machine.run({ maxCycles: 6 });
+            this.assertEqual(machine.history.length, 4, "History limited to historyLimit");
+            this.assertEqual(machine.rewind(10), 4, "rewind: only back to oldest event");
+            this.assertEqual(machine.pc, 2, "rewind: PC at oldest event");
+        }).buildAndRun();
+    }
+    
+    static snapshotTests() {
+        new UnitTest("Machine.snapshot and restore", function() {
+            let machine = new Machine(new MachineProfile({ registerCount: 3 }));
+            let assembly = machine.assemblyLanguage.assemble([
+                "        SET 0 0x1234",
+                "        STORE 0 value",
+                "loop:   SUB 1 0  # wraps",
+                "        PUSH 0",
+                "",
+                "value:  .word 0 0xabcd",
+            ]);
+            machine.append(assembly.statements);
+            assembly.data.forEach(block => machine.writeBytes(block.address, block.bytes));
+            machine.writeWord(0x200, 0x0f);
+            machine.run({ maxCycles: 4 });
+            
+            let snapshot = machine.snapshot();
+            this.assertEqual(snapshot.pc, 4, "snapshot: pc");
+            this.assertElementsEqual(snapshot.registers, [0x1234, 0xedcc, 0], "snapshot: registers");
+            this.assertEqual(Machine.summarizeFlags(snapshot.flags), "-C-N", "snapshot: flags");
+            this.assertEqual(snapshot.sp, 0xfffe, "snapshot: sp");
+            this.assertEqual(snapshot.profile.registerCount, 3, "snapshot: profile");
+            this.assertElementsEqual(snapshot.program, ["SET 0 4660", "STORE 0 0", "loop: SUB 1 0 # wraps", "PUSH 0", "", "value:"], "snapshot: program");
+            this.assertElementsEqual(snapshot.memory.map(range => `${range.address}:${range.bytes}`), ["0:3412cdab", "512:0f", "65534:3412"], "snapshot: nonzero memory ranges");
+            
+            let json = JSON.stringify(snapshot);
+            let restored = Machine.fromSnapshot(JSON.parse(json));
+            this.assertEqual(JSON.stringify(restored.snapshot()), json, "fromSnapshot: round trip");
+            this.assertEqual(restored.stateSummary, machine.stateSummary, "fromSnapshot: state");
+            this.assertEqual(restored.readWord(2), 0xabcd, "fromSnapshot: memory");
+            this.assertEqual(restored.disassemble(), machine.disassemble(), "fromSnapshot: program");
+            restored.run();
+            this.assertEqual(restored.pc, 6, "fromSnapshot: continues running");
+            
+            machine.reset({ pc: true, registers: true, memory: true, statements: true });
+            machine.restore(snapshot);
+            this.assertEqual(JSON.stringify(machine.snapshot()), json, "restore: round trip");
+            this.assertTrue(new Machine().snapshot().memory.length == 0, "Empty memory: no ranges");
+            
+            let summary = machine.stateSummary;
+            const reject = (change, detail) => {
+                let invalid = JSON.parse(json);
+                change(invalid);
+                let error = this.assertThrows(() => machine.restore(invalid), `Invalid ${detail}`);
+                this.assertEqual(error?.code, MachineError.Code.invalidSnapshot, `Invalid ${detail}: code`);
+                this.assertTrue(error?.detail?.startsWith(detail), `Invalid ${detail}: detail`);
+            };
+            reject(s => { s.profile.registerCount = 2; }, "profile");
+            reject(s => { s.registers.pop(); }, "registers");
+            reject(s => { s.registers[0] = 0x10000; }, "registers");
+            reject(s => { s.pc = "4"; }, "pc");
+            reject(s => { delete s.flags.zero; }, "flags");
+            reject(s => { s.sp = 0x10001; }, "sp");
+            reject(s => { s.memory[0].bytes = "123"; }, "memory");
+            reject(s => { s.memory[2].address = 0xffff; }, "memory");
+            reject(s => { s.program[0] = "SET 5 1"; }, "program");
+            reject(s => { s.program.push(7); }, "program");
+            this.assertThrows(() => Machine.fromSnapshot({}), "fromSnapshot: no profile", MachineError.Code.invalidSnapshot);
+            this.assertEqual(machine.stateSummary, summary, "Invalid snapshot: machine unchanged");
+            this.assertEqual(machine.instructionCount, 6, "Invalid snapshot: program unchanged");
+            
+            let halted = new Machine();
+            halted.append(["SET 0 1", "BZ 50 1"].map(text => halted.assemblyLanguage.assembleStatement(text)));
+            halted.run();
+            this.assertEqual(halted.pc, 50, "Halted: PC past the program");
+            json = JSON.stringify(halted.snapshot());
+            this.assertEqual(JSON.stringify(Machine.fromSnapshot(JSON.parse(json)).snapshot()), json, "Halted: round trip");
+            halted.setPC(Machine.PC_HALT);
+            json = JSON.stringify(halted.snapshot());
+            this.assertEqual(JSON.stringify(Machine.fromSnapshot(JSON.parse(json)).snapshot()), json, "PC_HALT: round trip");
+        }).buildAndRun();
+    }
+    
+    static all = [MachineTests.initTests, this.profileTests, this.deviceTests, this.traceTests, this.historyTests, this.snapshotTests, this.microcodeTests, this.statementTests, this.imageTests, this.stepTests, this.runTests, this.controlFlowTests];
+}
+
+class ProgramTests {
+    static runTests() {
+        new UnitTest("Program.run", function() {
+            let program = new Program("SET 0 3\n\n# comment\nSET 1 4\nADD 0 1");
+            this.assertEqual(program.machine.instructionCount, 5, "One statement per line, including empty lines");
+            this.assertElementsEqual(program.machine.registers, [7, 4], "Statements executed");
+            this.assertTrue(program.machine.halting, "Halted after running");
+            this.assertElementsEqual(program.output, ["HALT"], "Output: HALT");
+            this.assertEqual(Program.machineStateSummary(program.machine), "PC: 5 Registers: [7] [4] SP: 65536 Flags: ----", "machineStateSummary");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: BZ loop", function() {
+            let program = new Program([
+                "SET 1 3",
+                "ADD 0 1 # R0 += R1",
+                "BZ 5 1  # exit after second pass",
+                "SET 1 0",
+                "BZ 1 1  # always jumps back",
+            ].join("\n"));
+            this.assertElementsEqual(program.machine.registers, [3, 0], "Loop executed twice");
+            this.assertEqual(program.machine.pc, 5, "Halted at end of program");
+            this.assertElementsEqual(program.output, ["HALT"], "Output: HALT");
+            this.assertEqual(program.result.status, Machine.RunStatus.halted, "Result: halted");
+            this.assertEqual(program.result.cycles, 7, "Result: cycles");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: flag branches", function() {
+            let program = new Program([
+                "SET 0 65535",
+                "SET 1 1",
+                "ADD 0 1   # wraps to zero",
+                "BFC 5",
+                "SET 1 9   # skipped",
+                "SET 0 32767",
+                "ADD 0 1   # signed overflow",
+                "BFV 9",
+                "SET 1 9   # skipped",
+                "BFZ 11    # not taken",
+                "SET 1 2",
+            ].join("\n"));
+            this.assertEqual(program.result.status, Machine.RunStatus.halted, "Halted");
+            this.assertEqual(program.machine.pc, 11, "Halted at end of program");
+            this.assertElementsEqual(program.machine.registers, [32768, 2], "Carry and overflow branches taken, zero branch not taken");
+            this.assertEqual(program.machine.flagsSummary, "--VN", "Final flags");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: arithmetic", function() {
+            let program = new Program([
+                "# Sum of 1...n",
+                "SET 1 10",
+                "STORE 1 100  # n",
+                "SET 0 0",
+                "STORE 0 102  # sum",
+                "LOAD 1 100   # loop",
+                "BZ 15 1",
+                "LOAD 0 102",
+                "ADD 0 1",
+                "STORE 0 102",
+                "SET 0 1",
+                "SUB 1 0",
+                "STORE 1 100",
+                "SET 1 0",
+                "BZ 5 1",
+                "LOAD 0 102",
+            ].join("\n"));
+            this.assertEqual(program.result.status, Machine.RunStatus.halted, "Sum: halted");
+            this.assertEqual(program.machine.registers[0], 55, "Sum: result");
+            
+            program = new Program("SET 0 5\nDIV 0 1\nSET 0 6");
+            this.assertEqual(program.result.status, Machine.RunStatus.fault, "Divide by zero: fault");
+            this.assertEqual(program.machine.pc, 1, "Divide by zero: PC points to faulting instruction");
+            this.assertElementsEqual(program.output, ["FAULT after 1 cycles: Divide by zero"], "Divide by zero: output");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: memory", function() {
+            let program = new Program("SET 0 500\nSTORE 0 100\nSET 0 0\nLOAD 1 100");
+            this.assertElementsEqual(program.machine.registers, [0, 500], "Value stored and loaded");
+            this.assertEqual(program.machine.readWord(100), 500, "Value in memory");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: fault", function() {
+            let program = new Program("SET 0 1\nLOAD 0 65535\nSET 0 2");
+            this.assertEqual(program.result.status, Machine.RunStatus.fault, "Result: fault");
+            this.assertEqual(program.result.cycles, 1, "Result: cycles before fault");
+            this.assertEqual(program.machine.pc, 1, "PC points to faulting instruction");
+            this.assertElementsEqual(program.machine.registers, [1, 0], "Execution stopped at fault");
+            this.assertElementsEqual(program.output, ["FAULT after 1 cycles: Memory address out of bounds"], "Output: fault");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: subroutines", function() {
+            let program = new Program([
+                "        SET 0 3",
+                "        CALL double",
+                "        CALL double",
+                "        SET 1 0",
+                "        BZ end 1",
+                "double: PUSH 0",
+                "        POP 1",
+                "        ADD 0 1",
+                "        RET",
+                "end:",
+            ].join("\n"));
+            this.assertElementsEqual(program.output, ["HALT"], "Output: HALT");
+            this.assertElementsEqual(program.machine.registers, [12, 0], "Called twice");
+            this.assertEqual(program.machine.sp, Machine.WORD_RANGE, "Stack empty after returns");
+            this.assertEqual(Program.machineStateSummary(program.machine), "PC: 10 Registers: [12] [0] SP: 65536 Flags: ----", "machineStateSummary: SP");
+            
+            program = new Program("loop: CALL loop");
+            this.assertEqual(program.result.status, Machine.RunStatus.fault, "Unbounded recursion: fault");
+            this.assertEqual(program.result.error?.code, MachineError.Code.stackOverflow, "Unbounded recursion: stack overflow");
+            this.assertEqual(program.result.cycles, Machine.STACK_SIZE / Machine.WORD_SIZE, "Unbounded recursion: cycles until stack full");
+            
+            program = new Program("SET 0 1\nRET");
+            this.assertElementsEqual(program.output, ["FAULT after 1 cycles: Stack underflow"], "RET with empty stack: stack underflow");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: labels", function() {
+            let program = new Program([
+                "        SET 1 3",
+                "loop:   ADD 0 1",
+                "        BZ done 1",
+                "        SET 1 0",
+                "        BZ loop 1",
+                "done:",
+            ].join("\n"));
+            this.assertElementsEqual(program.machine.registers, [3, 0], "Loop executed twice");
+            this.assertElementsEqual(program.output, ["HALT"], "Output: HALT");
+            
+            program = new Program("BZ nowhere 0\nx: SET 0 1\nx: SET 0 2");
+            this.assertElementsEqual(program.output, [
+                "ERROR: line 1, column 4: Undefined label: \"nowhere\" (expected p: address [0 - 65535])",
+                "ERROR: line 3, column 1: Duplicate label: \"x\" (first defined on line 2)"
+            ], "Label errors name the line");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: data directives", function() {
+            let program = new Program([
+                ".equ OFFSET 2",
+                "        SET 1 OFFSET",
+                "        LOAD 0 values",
+                "        ADD 0 1",
+                "        STORE 0 result",
+                "        .org 0x200",
+                "values: .word 40",
+                "result: .word 0",
+                "text:   .string \"A\"",
+            ].join("\n"));
+            this.assertElementsEqual(program.output, ["HALT"], "Output: HALT");
+            this.assertElementsEqual(program.machine.registers, [42, 2], "Data loaded from memory");
+            this.assertEqual(program.machine.readWord(0x202), 42, "Result stored in memory");
+            this.assertElementsEqual(program.machine.memory.subarray(0x204, 0x206), [65, 0], "String in memory");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: macros", function() {
+            let program = new Program([
+                ".macro JMP target",
+                "        SET 1 0",
+                "        BZ target 1",
+                ".endm",
+                "        SET 0 7",
+                "        JMP skip",
+                "        SET 0 9",
+                "skip:   SET 1 2",
+                "        JMP bogus",
+            ].join("\n"));
+            this.assertElementsEqual(program.output, ['ERROR: line 9, column 9, in macro JMP on line 3: Undefined label: "bogus" (expected p: address [0 - 65535])'], "Output: error in macro expansion");
+            
+            program = new Program([
+                ".macro JMP target",
+                "        SET 1 0",
+                "        BZ target 1",
+                ".endm",
+                "        SET 0 7",
+                "        JMP skip",
+                "        SET 0 9",
+                "skip:   SET 1 2",
+            ].join("\n"));
+            this.assertElementsEqual(program.output, ["HALT"], "Output: HALT");
+            this.assertElementsEqual(program.machine.registers, [7, 2], "Jumped over SET");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: infinite loop", function() {
+            let program = new Program("BZ 0 1", { maxCycles: 50 });
+            this.assertEqual(program.result.status, Machine.RunStatus.cycleLimit, "Result: cycle limit");
+            this.assertElementsEqual(program.output, ["STOPPED after 50 cycles: cycle limit reached"], "Output: stopped");
+        }).buildAndRun();
+        
+        new UnitTest("Program.run: assembly errors", function() {
+            let program = new Program("SET 0 1\nSET 0\nADD 0 1\nBOGUS 1");
+            this.assertEqual(program.output.length, 2, "One error per invalid line, no HALT");
+            this.assertEqual(program.output[0], "ERROR: line 2, column 1: Invalid instruction format: \"SET\" (expected 2 operands: SET n i)", "Error location: SET");
+            this.assertEqual(program.output[1], "ERROR: line 4, column 1: Unknown instruction: \"BOGUS\"", "Error location: BOGUS");
+            this.assertEqual(program.machine.instructionCount, 0, "Nothing loaded");
+            this.assertElementsEqual(program.machine.registers, [0, 0], "Nothing executed");
+        }).buildAndRun();
+        
+        new UnitTest("Program: step and reset", function() {
+            let program = new Program([
+                ".macro INC r",
+                "        SET 1 1",
+                "        ADD r 1",
+                ".endm",
+                "loop:   INC 0",
+                "        STORE 0 value",
+                "        BZ loop 1",
+                "value:  .word 5",
+            ].join("\n"), null, null, null, true);
+            this.assertEqual(program.result, null, "loadOnly: not run");
+            this.assertEqual(program.machine.instructionCount, 10, "loadOnly: loaded");
+            this.assertEqual(program.machine.readWord(0), 5, "loadOnly: data loaded");
+            this.assertEqual(program.currentLineNumber, 1, "currentLineNumber: macro definition line");
+            this.assertElementsEqual(program.assembly.lineNumbers, [1, 2, 3, 4, 5, 5, 5, 6, 7, 8], "assemble: lineNumbers");
+            
+            program.step(5);
+            this.assertEqual(program.currentLineNumber, 5, "step: PC in macro expansion maps to call line");
+            this.assertEqual(program.result.status, Machine.RunStatus.cycleLimit, "step: cycle limit");
+            this.assertEqual(program.output.length, 0, "step: no output before halting");
+            program.step();
+            this.assertEqual(program.currentLineNumber, 5, "step: one statement, still in macro expansion");
+            program.step();
+            this.assertEqual(program.currentLineNumber, 6, "step: next line");
+            this.assertEqual(program.machine.registers[0], 1, "step: executed");
+            this.assertFalse(program.isFinished, "step: not finished");
+            
+            program.step(10);
+            this.assertTrue(program.isFinished, "step: finished");
+            this.assertEqual(program.currentLineNumber, null, "Halted: no current line");
+            this.assertEqual(program.result.cycles, 3, "step: cycles executed before halting");
+            this.assertElementsEqual(program.output, ["HALT"], "step: HALT");
+            this.assertEqual(program.machine.readWord(0), 1, "step: memory written");
+            
+            program.reset();
+            this.assertEqual(program.machine.pc, 0, "reset: PC");
+            this.assertElementsEqual(program.machine.registers, [0, 0], "reset: registers");
+            this.assertEqual(program.machine.readWord(0), 5, "reset: data reloaded");
+            this.assertFalse(program.isFinished, "reset: not finished");
+            program.run();
+            this.assertElementsEqual(program.machine.registers, [1, 1], "run after reset");
+            
+            program = new Program("SET 0 1\nLOAD 0 65535", null, null, null, true);
+            program.step(3);
+            this.assertTrue(program.isFinished, "Fault: finished");
+            this.assertEqual(program.currentLineNumber, 2, "Fault: current line is faulting line");
+            this.assertElementsEqual(program.output, ["FAULT after 1 cycles: Memory address out of bounds"], "Fault: output");
+            
+            program = new Program("BOGUS", null, null, null, true);
+            this.assertEqual(program.assembly, null, "Assembly error: not loaded");
+            this.assertEqual(program.currentLineNumber, null, "Assembly error: no current line");
+        }).buildAndRun();
+    }
+    
+    static all = [ProgramTests.runTests];
+}
+
+class DebuggerTests {
+    static runTests() {
+        new UnitTest("Debugger: breakpoints", function() {
+            let machine = new Machine();
+            machine.append(machine.assemblyLanguage.assemble([
+                "loop:   SET 1 1",
+                "        ADD 0 1",
+                "        SET 1 3",
+                "        SUB 1 0",
+                "        BFZ done",
+                "        SET 1 0",
+                "        BZ loop 1",
+                "done:",
+            ]).statements);
+            let debug = new Debugger(machine);
+            let breakpoint = debug.addBreakpoint(1);
+            this.assertEqual(breakpoint.description, "breakpoint 1 at 1", "Breakpoint description");
+            
+            let result = debug.run();
+            this.assertEqual(result.status, Machine.RunStatus.paused, "Paused at breakpoint");
+            this.assertEqual(result.cycles, 1, "Paused before executing breakpoint statement");
+            this.assertEqual(result.reason.type, Debugger.PauseType.breakpoint, "Reason: breakpoint");
+            this.assertEqual(result.reason.breakpoint, breakpoint, "Reason: which breakpoint");
+            this.assertEqual(machine.pc, 1, "PC at breakpoint");
+            
+            result = debug.continue();
+            this.assertEqual(result.status, Machine.RunStatus.paused, "Continue: paused again at same breakpoint");
+            this.assertEqual(machine.registers[0], 1, "Continue: one loop iteration");
+            
+            debug.remove(breakpoint.id);
+            let conditional = debug.addBreakpoint(1, { register: 0, value: 2 });
+            this.assertEqual(conditional.description, "breakpoint 2 at 1 if R0 == 2", "Conditional breakpoint description");
+            result = debug.continue();
+            this.assertEqual(result.reason?.breakpoint, conditional, "Conditional breakpoint: paused");
+            this.assertEqual(machine.registers[0], 2, "Conditional breakpoint: condition true");
+            
+            this.assertTrue(debug.remove(conditional.id), "remove: true");
+            this.assertFalse(debug.remove(conditional.id), "remove: false if already removed");
+            result = debug.continue();
+            this.assertEqual(result.status, Machine.RunStatus.halted, "No breakpoints: halted");
+            this.assertEqual(machine.registers[0], 3, "No breakpoints: ran to completion");
+        }).buildAndRun();
+        
+        new UnitTest("Debugger: watchpoints and stepping", function() {
+            let machine = new Machine();
+            machine.append(machine.assemblyLanguage.assemble([
+                "        SET 0 5",
+                "        SET 0 5",
+                "        CALL sub",
+                "        SET 1 2",
+                "        SET 0 0",
+                "        BZ end 0",
+                "sub:    STORE 0 0x101",
+                "        RET",
+                "end:",
+            ]).statements);
+            let debug = new Debugger(machine);
+            let watchpoint = debug.watchRegister(0);
+            this.assertEqual(watchpoint.description, "watchpoint 1 on R0", "Register watchpoint description");
+            
+            let result = debug.run();
+            this.assertEqual(result.status, Machine.RunStatus.paused, "Register watchpoint: paused");
+            this.assertEqual(result.reason.description, "watchpoint 1 on R0: 0 -> 5", "Register watchpoint: reason");
+            this.assertEqual(machine.pc, 1, "Register watchpoint: paused after write");
+            
+            result = debug.step();
+            this.assertEqual(result.status, Machine.RunStatus.cycleLimit, "step: writing same value doesn't trigger");
+            this.assertEqual(machine.pc, 2, "step: one statement");
+            
+            let memory = debug.watchMemory(0x100);
+            this.assertEqual(memory.description, "watchpoint 2 on [256]", "Memory watchpoint description");
+            result = debug.stepOver();
+            this.assertEqual(result.reason?.watchpoint, memory, "stepOver: memory watchpoint in subroutine, overlapping write");
+            this.assertEqual(machine.pc, 7, "stepOver: paused in subroutine");
+            debug.remove(memory.id);
+            
+            machine.reset({ pc: true });
+            machine.step();
+            machine.step();
+            debug.addBreakpoint(3);
+            result = debug.stepOver();
+            this.assertEqual(result.reason?.type, Debugger.PauseType.step, "stepOver: CALL returned");
+            this.assertEqual(machine.pc, 3, "stepOver: PC after CALL, breakpoint there not reported");
+            result = debug.stepOver();
+            this.assertEqual(result.status, Machine.RunStatus.cycleLimit, "stepOver: single statement");
+            this.assertEqual(machine.registers[1], 2, "stepOver: SET executed");
+            
+            result = debug.run();
+            this.assertEqual(result.reason?.type, Debugger.PauseType.watchpoint, "Watchpoint: R0 cleared");
+            this.assertEqual(Program.runStatusSummary(result), "PAUSED after 1 cycles: watchpoint 1 on R0: 5 -> 0", "runStatusSummary: paused");
+        }).buildAndRun();
+    }
+    
+    static all = [DebuggerTests.runTests];
+}
+
+class REPLTests {
+    static runTests() {
+        new UnitTest("REPL.run", function() {
+            let repl = new REPL();
+            this.assertEqual(repl.run("help"), repl.helpText, "HELP");
+            this.assertEqual(repl.machine.instructionCount, 0, "HELP: nothing appended");
+            
+            this.assertEqual(repl.run("SET 1 3"), "PC: 1 Registers: [0] [3] SP: 65536 Flags: ----", "SET: appended and executed");
+            this.assertEqual(repl.run("ADD 0 1"), "PC: 2 Registers: [3] [3] SP: 65536 Flags: ----", "ADD: appended and executed");
+            this.assertEqual(repl.machine.instructionCount, 2, "Statements carry across inputs");
+            
+            this.assertTrue(repl.run("SET 7 1").startsWith("ERROR: "), "Invalid input: error");
+            this.assertTrue(repl.run("").startsWith("ERROR: "), "Empty input: error");
+            this.assertEqual(repl.machine.instructionCount, 2, "Invalid input: nothing appended");
+            
+            this.assertEqual(repl.run("# comment"), "PC: 3 Registers: [3] [3] SP: 65536 Flags: ----", "Comment: appended as no-op");
+            
+            this.assertEqual(repl.run("LOAD 0 65535"), "FAULT after 0 cycles: Memory address out of bounds\nPC: 4 Registers: [3] [3] SP: 65536 Flags: ----", "Fault: reported, PC moved past faulting statement");
+            this.assertEqual(repl.run("SET 0 1"), "PC: 5 Registers: [1] [3] SP: 65536 Flags: ----", "Next input after fault");
+        }).buildAndRun();
+        
+        new UnitTest("REPL.run: BZ to earlier input", function() {
+            let repl = new REPL();
+            repl.run("SET 1 3");
+            repl.run("ADD 0 1");
+            repl.run("BZ 5 1");
+            repl.run("SET 1 0");
+            this.assertEqual(repl.run("BZ 1 1"), "PC: 5 Registers: [3] [0] SP: 65536 Flags: ----", "BZ: jumped back, re-ran ADD and exited loop");
+            this.assertEqual(repl.run("SET 0 9"), "PC: 6 Registers: [9] [0] SP: 65536 Flags: ----", "Next input runs after loop");
+        }).buildAndRun();
+        
+        new UnitTest("REPL.run: labels", function() {
+            let repl = new REPL();
+            repl.run("SET 1 3");
+            repl.run("loop: ADD 0 1");
+            this.assertEqual(repl.symbols.get("loop"), 1, "Label defined at statement index");
+            this.assertTrue(repl.run("BZ later 1").startsWith("ERROR: Undefined label"), "Forward reference: error");
+            this.assertTrue(repl.run("loop: SET 0 0").startsWith("ERROR: Duplicate label"), "Duplicate label: error");
+            this.assertEqual(repl.machine.instructionCount, 2, "Errors: nothing appended");
+            
+            repl.run("BZ 5 1");
+            repl.run("SET 1 0");
+            this.assertEqual(repl.run("BZ loop 1"), "PC: 5 Registers: [3] [0] SP: 65536 Flags: ----", "BZ to label: jumped back");
+            this.assertEqual(repl.run("self: BZ self 1").split("\n")[0], "STOPPED after 100000 cycles: cycle limit reached", "Label can reference its own line");
+        }).buildAndRun();
+        
+        new UnitTest("REPL.run: debugger commands", function() {
+            let repl = new REPL(new MachineProfile({ registerCount: 4 }));
+            this.assertEqual(repl.run("break"), "No breakpoints or watchpoints", "BREAK: empty list");
+            repl.run("SET 1 2");
+            repl.run("SET 2 1");
+            repl.run("loop: SUB 1 2");
+            this.assertEqual(repl.run("BREAK loop 1 1"), "Added breakpoint 1 at 2 if R1 == 1", "BREAK: conditional, label");
+            this.assertEqual(repl.run("WATCH R0"), "Added watchpoint 2 on R0", "WATCH: register");
+            this.assertEqual(repl.run("WATCH 0x100"), "Added watchpoint 3 on [256]", "WATCH: memory");
+            this.assertEqual(repl.run("BREAK"), "breakpoint 1 at 2 if R1 == 1\nwatchpoint 2 on R0\nwatchpoint 3 on [256]", "BREAK: list");
+            this.assertEqual(repl.run("DELETE 3"), "Deleted 3", "DELETE");
+            this.assertTrue(repl.run("DELETE 3").startsWith("ERROR: "), "DELETE: unknown id");
+            this.assertTrue(repl.run("BREAK 1 2").startsWith("ERROR: Invalid instruction format"), "BREAK: operand count");
+            this.assertTrue(repl.run("WATCH R9").startsWith("ERROR: Input outside valid range"), "WATCH: invalid register");
+            this.assertEqual(repl.machine.instructionCount, 3, "Commands: nothing appended");
+            
+            repl.run("BFZ 5");
+            this.assertEqual(repl.run("BZ loop 3"), "PAUSED after 1 cycles: breakpoint 1 at 2 if R1 == 1\nPC: 2 Registers: [0] [1] [1] [0] SP: 65536 Flags: ----", "Paused at breakpoint: PC kept");
+            this.assertEqual(repl.run("STEP"), "PC: 3 Registers: [0] [0] [1] [0] SP: 65536 Flags: Z---", "STEP");
+            this.assertEqual(repl.run("CONTINUE"), "PC: 5 Registers: [0] [0] [1] [0] SP: 65536 Flags: Z---", "CONTINUE: halted");
+            this.assertEqual(repl.run("SET 0 7"), "PAUSED after 1 cycles: watchpoint 2 on R0: 0 -> 7\nPC: 6 Registers: [7] [0] [1] [0] SP: 65536 Flags: Z---", "Watchpoint");
+            this.assertEqual(repl.run("STEP"), "PC: 6 Registers: [7] [0] [1] [0] SP: 65536 Flags: Z---", "STEP: halted, nothing to run");
+            repl.run("ready: SET 3 1");
+            this.assertEqual(repl.run("WATCH ready"), "Added watchpoint 4 on [6]", "WATCH: memory at label starting with R");
+            this.assertTrue(repl.helpText.includes("# CONTINUE: "), "helpText: commands");
+        }).buildAndRun();
+        
+        new UnitTest("REPL.run: UNDO", function() {
+            let repl = new REPL();
+            this.assertEqual(repl.run("UNDO"), "Nothing to undo", "UNDO: nothing entered");
+            repl.run("SET 1 3");
+            repl.run("loop: STORE 1 0x100");
+            repl.run("SUB 0 1");
+            this.assertEqual(repl.run("undo"), "Undid SUB 0 1\nPC: 2 Registers: [0] [3] SP: 65536 Flags: ----", "UNDO: registers, flags, PC and statement reverted");
+            this.assertEqual(repl.machine.instructionCount, 2, "UNDO: statement removed");
+            this.assertEqual(repl.run("UNDO"), "Undid loop: STORE 1 0x100\nPC: 1 Registers: [0] [3] SP: 65536 Flags: ----", "UNDO: labeled statement");
+            this.assertEqual(repl.machine.readWord(0x100), 0, "UNDO: memory reverted");
+            this.assertFalse(repl.symbols.has("loop"), "UNDO: label removed");
+            this.assertEqual(repl.run("loop: SET 0 1"), "PC: 2 Registers: [1] [3] SP: 65536 Flags: ----", "Label can be defined again");
+            
+            repl.run("BZ 0 0");
+            this.assertEqual(repl.run("UNDO").split("\n")[1], "PC: 2 Registers: [1] [3] SP: 65536 Flags: ----", "UNDO: branch not taken");
+            repl.run("BREAK 3");
+            repl.run("SET 0 0");
+            this.assertEqual(repl.run("BZ 1 0").split("\n")[0], "PAUSED after 3 cycles: breakpoint 1 at 3", "Paused at breakpoint after looping");
+            repl.run("STEP");
+            this.assertEqual(repl.run("UNDO"), "Undid STEP\nPC: 3 Registers: [0] [3] SP: 65536 Flags: ----", "UNDO: STEP");
+            this.assertEqual(repl.run("UNDO"), "Undid BZ 1 0\nPC: 3 Registers: [0] [3] SP: 65536 Flags: ----", "UNDO: loop reverted to before input");
+            this.assertEqual(repl.machine.instructionCount, 3, "UNDO: BZ removed");
+            repl.run("STEP");
+            repl.run("CONTINUE");
+            this.assertEqual(repl.run("UNDO").split("\n")[0], "Undid SET 0 0", "UNDO: STEP and CONTINUE on a halted machine not recorded");
+            repl.run("SET 0 0");
+            this.assertTrue(repl.run("UNDO 1").startsWith("ERROR: Invalid instruction format"), "UNDO: operand count");
+            
+            repl.machine.historyLimit = 10;
+            repl.run("DELETE 1");
+            repl.run("self: BZ self 0");
+            this.assertTrue(repl.run("UNDO").startsWith("ERROR: Input outside valid range"), "UNDO: history discarded");
+            this.assertEqual(repl.run("UNDO"), "Nothing to undo", "UNDO: earlier inputs no longer undoable");
+
+            repl.run("SET 1 5");
+            repl.machine.registers[1] = 9;
+            repl.discardUndo();
+            this.assertEqual(repl.run("UNDO"), "Nothing to undo", "discardUndo: earlier inputs no longer undoable");
+            this.assertEqual(repl.machine.registers[1], 9, "discardUndo: direct edit kept");
+            this.assertEqual(repl.machine.history.length, 0, "discardUndo: history cleared");
+            this.assertTrue(repl.helpText.includes("# UNDO: "), "helpText: UNDO");
+        }).buildAndRun();
+    }
+    
+    static all = [REPLTests.runTests];
+}
+
+/// Golden-program conformance cases: assembly source files with expected results, in the format described in conformance/README.md.
+class ConformanceTests {
+    static DIRECTORY = new URL("./conformance/", import.meta.url);
+    /// Any line starting with `#!` is an expectation line, which is removed from the program before assembling.
+    static EXPECTATION_PREFIX = /^\s*#!/;
+    /// An expectation line: `#! key: value` or `#! key argument: value`.
+    static EXPECTATION_PATTERN = /^\s*#!\s*([A-Za-z]+)(?:\s+([^:\s]+))?\s*:\s*(.*?)\s*$/;
+    
+    static get isNode() {
+        return typeof(process) !== "undefined" && !!process.versions?.node;
+    }
+    
+    /// Text of a file in `DIRECTORY`: read from the file system under Node, otherwise fetched.
+    static async readFile(name) {
+        let url = new URL(name, ConformanceTests.DIRECTORY);
+        if (ConformanceTests.isNode) {
+            const fs = await import("node:fs/promises");
+            return fs.readFile(url, "utf8");
+        }
+        let response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${url}`);
+        }
+        return response.text();
+    }
+    
+    /// Parses the `#!` expectation lines of a case's source text. Throws an Error naming the line if any is invalid.
+    static parseExpectations(name, text) {
+        let expected = { memory: [], errors: [] };
+        text.split("\n").forEach((line, index) => {
+            if (!ConformanceTests.EXPECTATION_PREFIX.test(line)) { return; }
+            const fail = reason => {
+                throw new Error(`${name}, line ${index + 1}: ${reason}`);
+            };
+            let match = ConformanceTests.EXPECTATION_PATTERN.exec(line) ?? fail("expected: #! key: value");
+            let [, key, argument, value] = match;
+            const number = token => DataType.parseLiteral(token) ?? fail(`invalid number "${token}"`);
+            const numbers = () => value.split(/\s+/).filter(token => token.length > 0).map(number);
+            const string = () => {
+                let codes = AssemblySyntax.parseStringLiteral(value) ?? fail(`invalid string literal ${value}`);
+                return String.fromCodePoint(...codes);
+            };
+            if ((argument !== undefined) != (key == "memory")) {
+                fail(`invalid expectation format for "${key}"`);
+            }
+            
+            switch (key) {
+            case "registers":
+                expected.registers = numbers();
+                break;
+            case "pc":
+            case "sp":
+            case "cycles":
+            case "maxCycles":
+                expected[key] = number(value);
+                break;
+            case "flags":
+            case "status":
+            case "fault":
+                expected[key] = value;
+                break;
+            case "memory":
+                expected.memory.push({ address: number(argument), bytes: numbers() });
+                break;
+            case "console":
+            case "input":
+                expected[key] = string();
+                break;
+            case "error": {
+                let tokens = value.split(/\s+/);
+                if (tokens.length != 2) { fail("expected: error: line code"); }
+                expected.errors.push({ lineNumber: number(tokens[0]), code: tokens[1] });
+                break;
+            }
+            case "profile":
+                expected.profile = Object.fromEntries(value.split(/\s+/).map(pair => {
+                    let [property, setting] = pair.split("=");
+                    if (setting === undefined) { fail(`expected key=value: "${pair}"`); }
+                    return [property, property == "instructions" ? setting.split(",") : number(setting)];
+                }));
+                break;
+            default:
+                fail(`unknown expectation "${key}"`);
+            }
+        });
+        return expected;
+    }
+    
+    /// Runs a case's source text with Program and checks the results against its expectations, in UnitTest `test`.
+    static check(test, name, text) {
+        // The file's final newline ends its last line, rather than adding an empty statement.
+        text = text.replace(/\n$/, "");
+        let expected = ConformanceTests.parseExpectations(name, text);
+        // Assemble only the program lines, keeping their line numbers in the file to check assembly errors.
+        let lineNumbers = [];
+        let body = text.split("\n").filter((line, index) => {
+            if (ConformanceTests.EXPECTATION_PREFIX.test(line)) { return false; }
+            lineNumbers.push(index + 1);
+            return true;
+        }).join("\n");
+        let profile = expected.profile ? new MachineProfile(expected.profile) : MachineProfile.standard;
+        let consoleText = "";
+        let devices = [];
+        if (ConsoleDevice.DEFAULT_ADDRESS + ConsoleDevice.SIZE <= profile.memorySize - profile.stackSize) {
+            devices.push(new ConsoleDevice({ output: text => { consoleText += text; }, input: expected.input }));
+        }
+        let runOptions = (expected.maxCycles !== undefined) ? { maxCycles: expected.maxCycles } : null;
+        let program = new Program(body, runOptions, profile, devices);
+        let machine = program.machine;
+        
+        if (expected.errors.length > 0) {
+            test.assertElementsEqual(
+                program.errors.map(error => `${lineNumbers[error.lineNumber - 1]} ${error.code}`),
+                expected.errors.map(error => `${error.lineNumber} ${error.code}`),
+                `${name}: assembly errors`
+            );
+            return;
+        }
+        if (!test.assertEqual(program.errors.length, 0, `${name}: assembles: ${program.output.join("; ")}`)) {
+            return;
+        }
+        
+        let status = expected.status ?? (expected.fault ? Machine.RunStatus.fault : Machine.RunStatus.halted);
+        test.assertEqual(program.result.status, status, `${name}: status: ${program.output.join("; ")}`);
+        if (expected.fault !== undefined) {
+            test.assertEqual(program.result.error?.code, expected.fault, `${name}: fault`);
+        }
+        if (expected.registers !== undefined) {
+            // Negative values are expected as two's complement words.
+            let registers = expected.registers.map(value => value < 0 ? value + profile.wordRange : value);
+            test.assertElementsEqual(machine.registers, registers, `${name}: registers`);
+        }
+        if (expected.pc !== undefined) {
+            test.assertEqual(machine.pc, expected.pc, `${name}: pc`);
+        }
+        if (expected.sp !== undefined) {
+            test.assertEqual(machine.sp, expected.sp, `${name}: sp`);
+        }
+        if (expected.flags !== undefined) {
+            test.assertEqual(machine.flagsSummary, expected.flags, `${name}: flags`);
+        }
+        if (expected.cycles !== undefined) {
+            test.assertEqual(program.result.cycles, expected.cycles, `${name}: cycles`);
+        }
+        for (const range of expected.memory) {
+            let bytes = Array.from(machine.memory.subarray(range.address, range.address + range.bytes.length));
+            test.assertElementsEqual(bytes, range.bytes, `${name}: memory at ${range.address}`);
+        }
+        if (expected.console !== undefined) {
+            test.assertEqual(JSON.stringify(consoleText), JSON.stringify(expected.console), `${name}: console output`);
+        }
+    }
+    
+    static async runTests() {
+        let index;
+        try {
+            index = JSON.parse(await ConformanceTests.readFile("index.json"));
+        } catch (e) {
+            new UnitTest("Conformance: index.json", function() {
+                this.logFailure(`Failed to load cases: ${e}`);
+            }).buildAndRun();
+            return;
+        }
+        
+        if (ConformanceTests.isNode) {
+            new UnitTest("Conformance: index.json lists every case", async function() {
+                const fs = await import("node:fs/promises");
+                let files = (await fs.readdir(ConformanceTests.DIRECTORY)).filter(file => file.endsWith(".asm"));
+                this.assertElementsEqual(index.slice().sort(), files.sort(), "index.json matches .asm files");
+            }).buildAndRun();
+        }
+        
+        for (const file of index) {
+            let name = file.replace(/\.asm$/, "");
+            new UnitTest(`Conformance: ${name}`, async function() {
+                ConformanceTests.check(this, name, await ConformanceTests.readFile(file));
+            }).buildAndRun();
+        }
+    }
+    
+    static all = [ConformanceTests.runTests];
 }
 
 TestSession.current = new TestSession()
+    .append(UnitTestTests.all)
     .append(BaseTypesTests.all)
     .append(AssemblyLanguageTests.all)
-    .append(MachineTests.all);
+    .append(MachineTests.all)
+    .append(ProgramTests.all)
+    .append(DebuggerTests.all)
+    .append(REPLTests.all)
+    .append(ConformanceTests.all);
 
+/// Runs the tests in test.html. A `filter` URL query parameter selects tests by name, see `TestSession.filter`.
 export async function uiReady() {
-    TestSession.current.run(document.querySelector("#testOutput"));
+    TestSession.current.filter = new URLSearchParams(window.location.search).get("filter");
+    TestSession.current.run(new HTMLReporter(document.querySelector("#testOutput")));
 }